@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+const { createWorkbookCache } = require('./workbookCache');
+const { createDataSource } = require('./dataSources');
+const { instrumentDataSource } = require('./metrics');
+const { sectionRanges, quoteSheetName } = require('./sections');
+const { STUDENTS_SHEET } = require('./studentData');
+
+// Academic years. Each year reads its own copy of the workbook, either from a
+// separate spreadsheet (or local data path) or from tabs with a name suffix in
+// the same spreadsheet. Past years stay available after the school starts a
+// new one.
+//
+// ACADEMIC_YEARS_CONFIG points to a JSON file like:
+//   {
+//     "current": "2025-26",
+//     "years": [
+//       { "id": "2024-25", "spreadsheetId": "1AbC..." },
+//       { "id": "2025-26", "label": "Session 2025-26" }
+//     ]
+//   }
+// A year can set "spreadsheetId" (Google Sheets), "dataPath" (local files) and
+// "sheetSuffix" (e.g. " 2024-25" reads "Students 2024-25", "Tests 2024-25", ...).
+// Anything a year leaves out comes from the normal env settings. Years are
+// listed oldest first. Without a config there is a single year, "current".
+
+const DEFAULT_YEAR_ID = 'current';
+
+// Load and check the academic year config, or a single default year
+function loadAcademicYears(configPath) {
+  if (!configPath) {
+    return { current: DEFAULT_YEAR_ID, years: [{ id: DEFAULT_YEAR_ID, label: 'Current year' }] };
+  }
+
+  const file = path.resolve(configPath);
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(config.years) || config.years.length === 0) {
+    throw new Error(`Academic year config ${file} needs a non-empty "years" list`);
+  }
+
+  const ids = new Set();
+  config.years.forEach(year => {
+    if (!year.id) {
+      throw new Error(`Every academic year in ${file} needs an "id"`);
+    }
+    if (ids.has(String(year.id))) {
+      throw new Error(`Academic year "${year.id}" is listed more than once in ${file}`);
+    }
+    ids.add(String(year.id));
+  });
+
+  // The last year listed is current unless the config says otherwise
+  const current = config.current ? String(config.current) : String(config.years[config.years.length - 1].id);
+  if (!ids.has(current)) {
+    throw new Error(`Current academic year "${current}" is not in the years list in ${file}`);
+  }
+
+  return {
+    current,
+    years: config.years.map(year => ({ ...year, id: String(year.id), label: year.label || String(year.id) }))
+  };
+}
+
+// Build a data source and workbook cache for every configured year. sheetRenames
+// maps sheet names to the school's tab names, e.g. { "Students": "Pupils" },
+// before any year suffix is added. school labels the year's metrics. extraSheets
+// are optional sheets read in full that aren't part of the section registry,
+// like the daily attendance sheet.
+function createAcademicYears({ config, sections, env, cacheOptions, sheetRenames = {}, school = '', extraSheets = [] }) {
+  const sheetNames = [STUDENTS_SHEET, ...sections.map(section => section.sheet), ...extraSheets];
+
+  const years = config.years.map(year => {
+    const sheetTitle = sheet => (sheetRenames[sheet] || sheet) + (year.sheetSuffix || '');
+
+    // Student info stays in a vertical sheet with room for optional columns such as pin
+    const ranges = [
+      `${quoteSheetName(sheetTitle(STUDENTS_SHEET))}!A:Z`,
+      ...sectionRanges(sections, sheetTitle),
+      ...extraSheets.map(sheet => `${quoteSheetName(sheetTitle(sheet))}!A:ZZZ`)
+    ];
+
+    const dataSource = instrumentDataSource(createDataSource({
+      ...env,
+      ...(year.spreadsheetId && { GOOGLE_SHEETS_ID: year.spreadsheetId }),
+      ...(year.dataPath && { LOCAL_DATA_PATH: year.dataPath })
+    }), { school, year: year.id });
+
+    // Key the batchGet value ranges by the plain sheet name, so the parsers never
+    // see renamed or suffixed tabs. Ranges come back in request order. Tabs the
+    // data source couldn't find are listed in "missing" so responses can warn about them.
+    const toSheetMap = sheetsData => {
+      const sheets = {};
+      const missing = [];
+      sheetNames.forEach((name, i) => {
+        const valueRange = sheetsData.valueRanges[i];
+        sheets[name] = (valueRange && valueRange.values) || [];
+        if (!valueRange || valueRange.missing) missing.push(name);
+      });
+      return { sheets, missing };
+    };
+
+    // Shared cache so concurrent lookups don't each call batchGet
+    const workbookCache = createWorkbookCache({
+      fetchWorkbook: async () => toSheetMap(await dataSource.fetchWorkbook(ranges)),
+      ttlSeconds: cacheOptions.ttlSeconds,
+      staleSeconds: cacheOptions.staleSeconds,
+      retrySeconds: cacheOptions.retrySeconds
+    });
+
+    return {
+      id: year.id,
+      label: year.label,
+      current: year.id === config.current,
+      sheetTitle,
+      dataSource,
+      workbookCache
+    };
+  });
+
+  const byId = new Map(years.map(year => [year.id, year]));
+
+  return {
+    list: years,
+    current: byId.get(config.current),
+    get: id => byId.get(String(id)) || null
+  };
+}
+
+module.exports = { loadAcademicYears, createAcademicYears };
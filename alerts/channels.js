@@ -0,0 +1,118 @@
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const { logger } = require('../logger');
+
+// Delivery channels for alerts. Each channel gets the batch of new alerts
+// from one run and returns a promise; a rejected promise means the alerts
+// weren't delivered and will be retried on that channel on the next run.
+
+// Write alerts to the server log
+function createConsoleChannel() {
+  return {
+    type: 'console',
+    async send(alerts) {
+      alerts.forEach(alert => {
+        logger.info('alert', {
+          severity: alert.severity,
+          studentName: alert.studentName,
+          admissionNo: alert.admissionNo,
+          class: alert.class,
+          message: alert.message
+        });
+      });
+    }
+  };
+}
+
+// Email each student's alerts as one message. Recipients are the student's
+// email column (when "toStudent" is set) plus any fixed "to" addresses.
+// SMTP settings come from SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS and SMTP_FROM,
+// so a local stand-in like MailHog works with SMTP_HOST=localhost SMTP_PORT=1025.
+function createEmailChannel(config, env) {
+  if (!env.SMTP_HOST) {
+    throw new Error('The email alert channel needs SMTP_HOST');
+  }
+
+  const port = parseInt(env.SMTP_PORT) || 587;
+  const transport = nodemailer.createTransport({
+    host: env.SMTP_HOST,
+    port,
+    secure: port === 465,
+    auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined
+  });
+  const from = env.SMTP_FROM || 'Student Portfolio <no-reply@localhost>';
+  const fixedRecipients = [].concat(config.to || []);
+
+  return {
+    type: 'email',
+    async send(alerts) {
+      const byStudent = new Map();
+      alerts.forEach(alert => {
+        if (!byStudent.has(alert.admissionNo)) byStudent.set(alert.admissionNo, []);
+        byStudent.get(alert.admissionNo).push(alert);
+      });
+
+      for (const studentAlerts of byStudent.values()) {
+        const first = studentAlerts[0];
+        const recipients = [...fixedRecipients];
+        if (config.toStudent && first.contactEmail) recipients.push(first.contactEmail);
+        if (recipients.length === 0) continue;
+
+        await transport.sendMail({
+          from,
+          to: recipients.join(', '),
+          subject: `Student Portfolio alert: ${first.studentName} (${first.class})`,
+          text: [
+            `Alerts for ${first.studentName}, class ${first.class}, admission no ${first.admissionNo}:`,
+            '',
+            ...studentAlerts.map(alert => `- ${alert.message}`)
+          ].join('\n')
+        });
+      }
+    }
+  };
+}
+
+// POST the batch of alerts as JSON to a URL
+function createWebhookChannel(config) {
+  if (!config.url) {
+    throw new Error('The webhook alert channel needs a "url"');
+  }
+
+  return {
+    type: 'webhook',
+    async send(alerts) {
+      await axios.post(config.url, {
+        sentAt: new Date().toISOString(),
+        alerts: alerts.map(({ contactEmail, ...alert }) => alert)
+      }, { headers: config.headers || {}, timeout: 10000 });
+    }
+  };
+}
+
+const CHANNEL_TYPES = {
+  console: createConsoleChannel,
+  email: createEmailChannel,
+  webhook: createWebhookChannel
+};
+
+// Build channels from the alerts config. Each channel is named by its "name", or its
+// type when it has none; delivery is tracked per name, so two channels of the same
+// type need names.
+function createChannels(configs, env) {
+  const names = new Set();
+  return configs.map(config => {
+    const create = CHANNEL_TYPES[config.type];
+    if (!create) {
+      throw new Error(`Unknown alert channel "${config.type}". Use one of: ${Object.keys(CHANNEL_TYPES).join(', ')}`);
+    }
+    const name = String(config.name || config.type);
+    if (names.has(name)) {
+      throw new Error(`Alert channel name "${name}" is used more than once; give each channel its own "name"`);
+    }
+    names.add(name);
+    return { ...create(config, env), name };
+  });
+}
+
+module.exports = { createChannels };
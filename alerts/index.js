@@ -0,0 +1,177 @@
+const fs = require('fs');
+const path = require('path');
+const { NEW_ENTRY_RULES, validateRules, evaluateRules } = require('./rules');
+const { createChannels } = require('./channels');
+const { STUDENTS_SHEET, getSheetValues, getValueByHeader, processStudentData } = require('../studentData');
+const { logger, errorFields } = require('../logger');
+
+// Alert engine: evaluates every student against the rules in alertRules.json
+// (or ALERTS_CONFIG), drops alerts that were already sent, and delivers the
+// rest through the configured channels. Delivery is tracked per alert and per
+// channel in a small JSON state file, so restarts don't re-send everything and
+// a channel that fails is retried on its own without repeating the others.
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'alertRules.json');
+
+// How many delivered alerts to keep for the admin listing
+const HISTORY_LIMIT = 500;
+
+// Load the state file, starting fresh if it doesn't exist yet. sent maps an alert
+// key to { channelName: sentAt }; older files kept one time for all channels.
+function loadState(statePath, channelNames) {
+  try {
+    const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    const sent = {};
+    Object.entries(state.sent || {}).forEach(([key, value]) => {
+      sent[key] = typeof value === 'string' ? Object.fromEntries(channelNames.map(name => [name, value])) : value;
+    });
+    return { sent, history: state.history || [], seededRules: state.seededRules || [] };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error('Could not read alert state, starting fresh', { statePath, error: error.message });
+    }
+    return { sent: {}, history: [], seededRules: [] };
+  }
+}
+
+function saveState(statePath, state) {
+  fs.writeFileSync(statePath, JSON.stringify(state, null, 2));
+}
+
+function createAlertService({ configPath, statePath, sections, getWorkbook, env }) {
+  const file = configPath ? path.resolve(configPath) : DEFAULT_CONFIG_PATH;
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const rules = validateRules(config.rules || []);
+  const channels = createChannels(config.channels || [{ type: 'console' }], env);
+
+  const state = loadState(statePath, channels.map(channel => channel.name));
+  let running = null;
+  let timer = null;
+
+  // Every alert that currently holds, across all students
+  function evaluateAll(workbook) {
+    const values = getSheetValues(workbook, STUDENTS_SHEET);
+    const headers = values[0] || [];
+    const alerts = [];
+
+    values.slice(1).forEach(row => {
+      const admissionNo = getValueByHeader(row, headers, 'admission_no');
+      if (!admissionNo) return;
+
+      const data = processStudentData(workbook, admissionNo, sections);
+      const contactEmail = getValueByHeader(row, headers, 'email') || getValueByHeader(row, headers, 'parent_email');
+      evaluateRules(rules, data).forEach(alert => alerts.push({ ...alert, contactEmail }));
+    });
+
+    return alerts;
+  }
+
+  // Channels an alert hasn't been delivered on yet
+  function pendingChannels(alert) {
+    const sent = state.sent[alert.key] || {};
+    return channels.filter(channel => !sent[channel.name]);
+  }
+
+  // Mark an alert as delivered on some channels
+  function markSent(alert, channelNames, sentAt) {
+    state.sent[alert.key] = { ...(state.sent[alert.key] || {}) };
+    channelNames.forEach(name => {
+      state.sent[alert.key][name] = sentAt;
+    });
+  }
+
+  // Evaluate, dedupe and deliver. With dryRun, report what would be sent without sending.
+  async function run({ dryRun = false } = {}) {
+    const workbook = await getWorkbook();
+    const active = evaluateAll(workbook);
+
+    // New-entry rules running for the first time take what's there as already seen
+    const unseeded = rules.filter(rule => NEW_ENTRY_RULES.includes(rule.type) && !state.seededRules.includes(rule.id));
+    const seeding = alert => unseeded.some(rule => rule.id === alert.rule);
+    const fresh = active.filter(alert => !seeding(alert) && pendingChannels(alert).length > 0);
+
+    if (dryRun) {
+      return { evaluatedAt: new Date().toISOString(), active: active.length, pending: fresh, sent: 0, failed: [] };
+    }
+
+    const seededAt = new Date().toISOString();
+    active.filter(seeding).forEach(alert => markSent(alert, channels.map(channel => channel.name), seededAt));
+    unseeded.forEach(rule => state.seededRules.push(rule.id));
+
+    // Conditions that no longer hold can alert again if they come back
+    const activeKeys = new Set(active.map(alert => alert.key));
+    Object.keys(state.sent).forEach(key => {
+      if (!activeKeys.has(key)) delete state.sent[key];
+    });
+
+    // Each channel only gets the alerts it hasn't delivered yet
+    const failed = [];
+    const results = await Promise.allSettled(channels.map(channel => {
+      const batch = fresh.filter(alert => pendingChannels(alert).includes(channel));
+      return batch.length > 0 ? channel.send(batch).then(() => batch) : Promise.resolve([]);
+    }));
+    const sentAt = new Date().toISOString();
+    results.forEach((result, i) => {
+      if (result.status === 'rejected') {
+        logger.error('Alert channel failed', { channel: channels[i].name, error: result.reason.message });
+        failed.push({ channel: channels[i].name, error: result.reason.message });
+        return;
+      }
+      result.value.forEach(alert => markSent(alert, [channels[i].name], sentAt));
+    });
+
+    // Alerts go into the history once every channel has delivered them
+    const delivered = fresh.filter(alert => pendingChannels(alert).length === 0);
+    delivered.forEach(alert => {
+      const { contactEmail, ...entry } = alert;
+      state.history.unshift({ ...entry, sentAt });
+    });
+    state.history = state.history.slice(0, HISTORY_LIMIT);
+
+    saveState(statePath, state);
+
+    return {
+      evaluatedAt: new Date().toISOString(),
+      active: active.length,
+      sent: delivered.length,
+      failed
+    };
+  }
+
+  // Run, or join a run that is already in progress
+  function runOnce(options) {
+    if (options && options.dryRun) return run(options);
+    if (!running) {
+      running = run(options).finally(() => {
+        running = null;
+      });
+    }
+    return running;
+  }
+
+  // Evaluate on a schedule. The timer doesn't keep the process alive on its own.
+  function start(intervalMinutes) {
+    if (!intervalMinutes || timer) return;
+    timer = setInterval(() => {
+      runOnce().catch(error => logger.error('Scheduled alert run failed', errorFields(error)));
+    }, intervalMinutes * 60 * 1000);
+    timer.unref();
+  }
+
+  // Recently delivered alerts, newest first
+  function history({ admissionNo, limit = 100 } = {}) {
+    return state.history
+      .filter(alert => !admissionNo || alert.admissionNo === admissionNo)
+      .slice(0, limit);
+  }
+
+  return {
+    run: runOnce,
+    start,
+    history,
+    rules,
+    channels: channels.map(channel => channel.name)
+  };
+}
+
+module.exports = { createAlertService };
@@ -0,0 +1,134 @@
+// Alert rules. Each rule type looks at one student's processed data and
+// returns the conditions that currently hold. The "key" of each condition
+// identifies it across runs, so the same alert isn't sent twice.
+
+const { attendanceTotals, attendanceMonthIso } = require('../dailyAttendance');
+
+function formatPercent(value) {
+  return `${Math.round(value * 10) / 10}%`;
+}
+
+const RULE_TYPES = {
+  // Any month with attendance below the threshold. Keyed by year and month, so the
+  // same month next year can alert again.
+  monthlyAttendanceBelow(rule, data) {
+    return (data.attendance || [])
+      .filter(month => month.percentage < rule.threshold)
+      .map(month => ({
+        key: attendanceMonthIso(month) || month.month.toLowerCase(),
+        message: `Attendance in ${month.month} was ${formatPercent(month.percentage)} (below ${rule.threshold}%)`,
+        details: { month: month.month, percentage: month.percentage, present: month.present, workingDays: month.workingDays }
+      }));
+  },
+
+  // Attendance across all months, weighted by working days
+  overallAttendanceBelow(rule, data) {
+    const { workingDays, percentage } = attendanceTotals(data.attendance || []);
+    if (percentage === null || percentage >= rule.threshold) return [];
+
+    return [{
+      key: 'overall',
+      message: `Overall attendance is ${formatPercent(percentage)} (below ${rule.threshold}%)`,
+      details: { percentage, workingDays }
+    }];
+  },
+
+  // Each assignment that is past its due date and not complete
+  overdueAssignment(rule, data) {
+    return (data.assignments || [])
+      .filter(assignment => assignment.isOverdue)
+      .map(assignment => ({
+        key: assignment.id,
+        message: `${assignment.subject} assignment "${assignment.name}" was due ${assignment.dueDateIso || assignment.dueDate} and is still ${assignment.status}`,
+        details: { subject: assignment.subject, assignment: assignment.name, dueDate: assignment.dueDate, daysOverdue: -assignment.daysUntilDue }
+      }));
+  },
+
+  // Total overdue assignments at or above a count
+  overdueAssignmentsAtLeast(rule, data) {
+    const overdue = (data.assignments || []).filter(assignment => assignment.isOverdue);
+    if (overdue.length < rule.count) return [];
+
+    return [{
+      key: 'count',
+      message: `${overdue.length} assignments are overdue`,
+      details: { overdue: overdue.map(a => ({ subject: a.subject, assignment: a.name, dueDate: a.dueDate })) }
+    }];
+  },
+
+  // Any test scored below the threshold percentage. Tests without marks yet don't count.
+  testBelow(rule, data) {
+    return (data.tests || [])
+      .filter(test => test.scored && test.percentage < rule.threshold)
+      .map(test => ({
+        key: test.id,
+        message: `${test.subject} ${test.name}: scored ${test.marksObtained}/${test.maxMarks} (${formatPercent(test.percentage)})`,
+        details: { subject: test.subject, test: test.name, date: test.date, percentage: test.percentage }
+      }));
+  },
+
+  // Every discipline record, once; dedup makes this fire only for new entries, and
+  // the records there when the rule first runs are taken as seen (NEW_ENTRY_RULES)
+  newDisciplineRecord(rule, data) {
+    return (data.discipline || []).map(record => ({
+      key: `${record.id}:${record.dateIso || record.date}`,
+      message: `New discipline record${record.date ? ` on ${record.date}` : ''}: ${record.description}`,
+      details: { date: record.date, type: record.type, description: record.description, action: record.action, teacher: record.teacher }
+    }));
+  }
+};
+
+// Numeric settings each rule type needs
+const RULE_SETTINGS = {
+  monthlyAttendanceBelow: ['threshold'],
+  overallAttendanceBelow: ['threshold'],
+  overdueAssignmentsAtLeast: ['count'],
+  testBelow: ['threshold']
+};
+
+// Rule types that report new entries rather than a condition. The entries already
+// there when such a rule first runs count as seen, so enabling it doesn't send an
+// alert for every old record.
+const NEW_ENTRY_RULES = ['newDisciplineRecord'];
+
+// Check rule definitions from the alerts config
+function validateRules(rules) {
+  const ids = new Set();
+  rules.forEach(rule => {
+    if (!rule.id || !RULE_TYPES[rule.type]) {
+      throw new Error(`Alert rule ${JSON.stringify(rule.id)} needs an id and one of: ${Object.keys(RULE_TYPES).join(', ')}`);
+    }
+    if (ids.has(rule.id)) {
+      throw new Error(`Alert rule id "${rule.id}" is used more than once`);
+    }
+    (RULE_SETTINGS[rule.type] || []).forEach(setting => {
+      if (typeof rule[setting] !== 'number' || !Number.isFinite(rule[setting])) {
+        throw new Error(`Alert rule "${rule.id}" (${rule.type}) needs a numeric "${setting}"`);
+      }
+    });
+    ids.add(rule.id);
+  });
+  return rules;
+}
+
+// Evaluate every rule against one student's data
+function evaluateRules(rules, data) {
+  const alerts = [];
+  rules.forEach(rule => {
+    RULE_TYPES[rule.type](rule, data).forEach(condition => {
+      alerts.push({
+        key: `${rule.id}:${data.studentInfo.admissionNo}:${condition.key}`,
+        rule: rule.id,
+        severity: rule.severity || 'warning',
+        admissionNo: data.studentInfo.admissionNo,
+        studentName: data.studentInfo.name,
+        class: data.studentInfo.class,
+        message: condition.message,
+        details: condition.details
+      });
+    });
+  });
+  return alerts;
+}
+
+module.exports = { RULE_TYPES, NEW_ENTRY_RULES, validateRules, evaluateRules };
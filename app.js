@@ -1,685 +1,996 @@
 const express = require('express');
 const cors = require('cors');
-const axios = require('axios');
 require('dotenv').config();
+const { createTenantResolver, loadTenants, createTenant } = require('./tenants');
+const {
+  getStudentsValues,
+  findStudentByAdmissionNo,
+  getValueByHeader
+} = require('./studentData');
+const { listStudents, listClasses, buildClassReport, normalizeClassName } = require('./classStats');
+const { resolveSectionName, parseSectionQuery, querySection } = require('./sectionQuery');
+const { validateWorkbook } = require('./sheetValidator');
+const { feedToken, tokenMatches, buildStudentEvents, buildClassEvents, renderCalendar } = require('./calendarFeed');
+const { createReportCardPdf, writeReportCardZip, reportCardFileName } = require('./reportCard');
+const { buildStudentHistory } = require('./studentHistory');
+const { checkWorkbookSheets } = require('./health');
+const { parseSize, initialsFor, renderPlaceholder } = require('./photos');
+const { searchStudents, DEFAULT_LIMIT: SEARCH_DEFAULT_LIMIT, MAX_LIMIT: SEARCH_MAX_LIMIT } = require('./studentSearch');
+const { buildSubjectWorkload, DEFAULT_CORRECTION_DAYS } = require('./teacherWorkload');
+const { buildStudentAnalytics } = require('./studentAnalytics');
+const { StudentNotFoundError, sendError, toApiError } = require('./errors');
+const { logger, errorFields, requestLogger } = require('./logger');
+const { registry, requestMetrics, collectCacheStats } = require('./metrics');
+const openapi = require('./openapi.json');
+const {
+  safeEqual,
+  issueToken,
+  checkSecondFactor,
+  requireStudentToken,
+  issueLinkKey,
+  verifyLinkKey,
+  verifyPassword,
+  requireStaffToken,
+  requireStudentOrStaffToken
+} = require('./auth');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Only need these two environment variables
-const GOOGLE_SHEETS_ID = process.env.GOOGLE_SHEETS_ID;
-const GOOGLE_SHEETS_API_KEY = process.env.GOOGLE_SHEETS_API_KEY;
+// Behind a load balancer, set TRUST_PROXY (e.g. 1) so rate limits and logs see the client's IP
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
+// Every school this deployment serves (TENANTS_CONFIG, see tenants.js). Without a
+// tenant config there is a single school configured from env.
+const { defaultCode, tenants } = loadTenants(process.env.TENANTS_CONFIG, process.env);
+const TENANTS = tenants.map(createTenant);
+
+TENANTS.forEach(tenant => {
+  tenant.alertService.start(tenant.alertIntervalMinutes);
+  // Without a spreadsheet every scheduled check would just fail, so there is nothing to watch
+  if (tenant.dataSource.isConfigured()) {
+    tenant.changeFeed.start(tenant.changeFeedIntervalMinutes);
+  } else if (tenant.changeFeedIntervalMinutes) {
+    logger.warn('Data source is not configured - change feed checks are off', { school: tenant.code });
+  }
+});
+collectCacheStats(TENANTS);
+
+// Only allow admin requests that carry the school's admin key
+function requireAdmin(req, res, next) {
+  if (!req.tenant.adminApiKey) {
+    return res.status(403).json({ error: 'Admin endpoints are disabled. Set ADMIN_API_KEY to enable them.', code: 'admin_disabled' });
+  }
+  if (!safeEqual(req.get('X-Admin-Key') || '', req.tenant.adminApiKey)) {
+    return res.status(401).json({ error: 'Invalid admin key', code: 'unauthorized' });
+  }
+  next();
+}
+
+// Pick the academic year from ?year=, defaulting to the current one
+function resolveYear(req, res, next) {
+  if (req.query.year === undefined) {
+    req.academicYear = req.tenant.currentYear;
+    return next();
+  }
+  
+  req.academicYear = req.tenant.years.get(req.query.year);
+  if (!req.academicYear) {
+    const available = req.tenant.years.list.map(year => year.id).join(', ');
+    return res.status(400).json({ error: `Unknown academic year "${req.query.year}". Available: ${available}`, code: 'unknown_year' });
+  }
+  next();
+}
+
+// Request IDs, request logs and metrics for everything, including unknown schools
+app.use(requestLogger);
+app.use(requestMetrics);
+
+// Prometheus metrics for the whole deployment. Set METRICS_TOKEN to require
+// "Authorization: Bearer <token>" from the scraper.
+app.get('/metrics', (req, res) => {
+  if (process.env.METRICS_TOKEN && req.get('Authorization') !== `Bearer ${process.env.METRICS_TOKEN}`) {
+    return res.status(401).json({ error: 'Invalid metrics token', code: 'unauthorized' });
+  }
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(registry.render());
+});
+
+// Find the school first; everything after this reads from req.tenant
+app.use(createTenantResolver(TENANTS, defaultCode));
+app.use((req, res, next) => {
+  req.log = req.log.child({ school: req.tenant.code });
+  next();
+});
+
+// Limits on student data routes, per IP before authentication and per token after it
+const limitStudentsByIp = (req, res, next) => req.tenant.studentLimits.byIp(req, res, next);
+const limitStudentsByToken = (req, res, next) => req.tenant.studentLimits.byToken(req, res, next);
+
+// Turn away IPs the enumeration guard has blocked
+function blockEnumeration(req, res, next) {
+  const seconds = req.tenant.enumerationGuard.blockedFor(req.ip);
+  if (!seconds) return next();
+  
+  req.accessResult = 'blocked';
+  res.set('Retry-After', String(seconds));
+  res.status(429).json({ error: `Too many lookups from this address. Try again in ${Math.ceil(seconds / 60)} minutes.`, code: 'blocked', retryAfter: seconds });
+}
+
+// Result recorded in the access log for a response status
+function accessResult(status) {
+  if (status < 400) return 'ok';
+  if (status === 401 || status === 403) return 'denied';
+  if (status === 404) return 'not_found';
+  if (status === 429) return 'rate_limited';
+  return 'error';
+}
+
+// Log who asked for which student's data and what they got, once the response is sent.
+// Student and staff logins also feed the enumeration guard, with failed attempts
+// counted as misses.
+function logAccess(req, res, next) {
+  const startedAt = Date.now();
+  const requested = req.params.admission || null;
+  
+  res.on('finish', () => {
+    const admissionNo = req.accessAdmission || req.admissionNumber || requested;
+    const attempted = req.accessAdmission || (req.accessUsername && `staff:${req.accessUsername}`);
+    if (attempted) {
+      req.tenant.enumerationGuard.record(req.ip, attempted, { miss: res.statusCode === 401 || res.statusCode === 404 });
+    }
+    
+    try {
+      req.tenant.accessLog.append({
+        ip: req.ip,
+        actor: req.auth ? { username: req.auth.sub, role: req.auth.role } : null,
+        admissionNo,
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        status: res.statusCode,
+        result: req.accessResult || accessResult(res.statusCode),
+        ms: Date.now() - startedAt
+      });
+    } catch (error) {
+      req.log.error('Error writing access log', errorFields(error));
+    }
+  });
+  next();
+}
+
+// Everything in front of a route that returns one student's data
+const studentAccess = [logAccess, blockEnumeration, limitStudentsByIp];
 
-// Allow requests from GitHub Pages (or any origin for development)
-app.use(cors({
-  origin: '*',  // Allow all origins, or specify your GitHub Pages URL
-  methods: ['GET'], // Only allow GET requests
+// Allow requests from the school's own sites (corsOrigins), or any origin when none are set
+app.use(cors((req, callback) => callback(null, {
+  origin: req.tenant.corsOrigins,
+  methods: ['GET', 'POST', 'PATCH'], // GET for data, POST for login and teacher edits, PATCH for updates
   allowedHeaders: ['Content-Type', 'Authorization']
-}));
+})));
 
-// Simple API endpoint to fetch student data by admission number
-app.get('/api/student-data', async (req, res) => {
+// Each school has its own request allowance
+app.use((req, res, next) => req.tenant.rateLimiter.middleware(req, res, next));
+
+app.use(express.json());
+
+// Login with admission number plus date of birth (or PIN, if the student has one)
+app.post('/api/auth/login', studentAccess, async (req, res) => {
   try {
-    const admissionNumber = req.query.admission;
+    const { admission: admissionValue, dob, pin } = req.body || {};
+    // JSON clients may send the admission number as a number
+    const admission = admissionValue === undefined || admissionValue === null ? '' : String(admissionValue).trim();
     
     // Validate admission number
-    if (!admissionNumber || !/^\d{5}$/.test(admissionNumber)) {
-      return res.status(400).json({ error: 'Invalid admission number. Must be 5 digits.' });
+    if (!/^\d{5}$/.test(admission)) {
+      return res.status(400).json({ error: 'Invalid admission number. Must be 5 digits.', code: 'invalid_request' });
     }
+    if (!dob && !pin) {
+      return res.status(400).json({ error: 'Date of birth or PIN is required', code: 'invalid_request' });
+    }
+    req.accessAdmission = admission;
     
-    // Google Sheets API endpoint with multiple ranges
-    const sheetsEndpoint = `https://sheets.googleapis.com/v4/spreadsheets/${GOOGLE_SHEETS_ID}/values:batchGet`;
-    
-    // Define the ranges we want to fetch - Using wider ranges for horizontal data
-    const ranges = [
-      'Students!A:G',
-      'Subjects!A:ZZ',      // Wider range for horizontal subject data
-      'Activities!A:ZZZ',    // Wider range for horizontal activities
-      'Assignments!A:ZZZ',   // Wider range for horizontal assignments
-      'Tests!A:ZZZ',         // Wider range for horizontal tests
-      'Corrections!A:ZZZ',   // Wider range for horizontal corrections
-      'Attendance!A:ZZZ',    // Wider range for horizontal attendance
-      'Discipline!A:ZZZ',    // Discipline data sheet
-      'Games!A:ZZZ'          // NEW: Games data sheet
-    ];
-    
-    // Build the full URL with query parameters
-    const url = `${sheetsEndpoint}?key=${GOOGLE_SHEETS_API_KEY}&ranges=${ranges.map(range => encodeURIComponent(range)).join('&ranges=')}`;
+    const workbook = await req.tenant.workbookCache.get();
+    const studentsValues = getStudentsValues(workbook);
+    const studentsHeaders = studentsValues[0] || [];
+    const studentRow = findStudentByAdmissionNo(studentsValues, studentsHeaders, admission);
     
-    // Fetch data from Google Sheets
-    const response = await axios.get(url);
+    const studentPin = getValueByHeader(studentRow, studentsHeaders, 'pin');
+    const studentDob = getValueByHeader(studentRow, studentsHeaders, 'dob');
     
-    // Process the response to extract data for the specific student
-    const processedData = processStudentData(response.data, admissionNumber);
+    // Same response for unknown students and wrong credentials
+    if (!studentRow || !checkSecondFactor(studentPin, studentDob, { dob, pin })) {
+      return res.status(401).json({ error: 'Invalid admission number or credentials', code: 'invalid_credentials' });
+    }
     
-    res.json(processedData);
+    const token = issueToken({ sub: admission, role: 'student', tenant: req.tenant.code });
+    res.json({ token, admission });
   } catch (error) {
-    console.error('Error fetching data from Google Sheets:', error);
-    if (error.response && error.response.data) {
-      console.error('Google API Error:', error.response.data);
-    }
-    res.status(500).json({ error: 'Failed to fetch data from Google Sheets' });
+    sendError(res, error, 'during login');
   }
 });
 
-// API status endpoint
-app.get('/api/status', (req, res) => {
-  res.json({ 
-    status: 'online',
-    message: 'Student Portfolio API is running',
-    sheetsConfigured: Boolean(GOOGLE_SHEETS_ID && GOOGLE_SHEETS_API_KEY)
-  });
-});
-
-// Process the Google Sheets response with HORIZONTAL data structure
-function processStudentData(sheetsData, admissionNumber) {
+// Staff login with username and password from the staff accounts file. It sits behind
+// the same per-IP limits as student login, so passwords can't be guessed at speed.
+app.post('/api/auth/staff-login', studentAccess, async (req, res) => {
   try {
-    // Extract value ranges from the response
-    const [studentsSheet, subjectsSheet, activitiesSheet, 
-           assignmentsSheet, testsSheet, correctionsSheet, 
-           attendanceSheet, disciplineSheet, gamesSheet] = sheetsData.valueRanges;
-    
-    // Extract headers from each sheet
-    const studentsHeaders = studentsSheet.values[0] || [];
-    const subjectsHeaders = subjectsSheet.values[0] || [];
-    const activitiesHeaders = activitiesSheet.values[0] || [];
-    const assignmentsHeaders = assignmentsSheet.values[0] || [];
-    const testsHeaders = testsSheet.values[0] || [];
-    const correctionsHeaders = correctionsSheet.values[0] || [];
-    const attendanceHeaders = attendanceSheet.values[0] || [];
-    const disciplineHeaders = disciplineSheet.values[0] || [];
-    const gamesHeaders = gamesSheet.values ? gamesSheet.values[0] || [] : [];
-    
-    // Find student info row - this remains the same (vertical format)
-    const studentData = findStudentByAdmissionNo(studentsSheet.values, studentsHeaders, admissionNumber);
-    
-    if (!studentData) {
-      throw new Error(`Student with admission number ${admissionNumber} not found`);
+    const { username, password } = req.body || {};
+    if (!username || !password) {
+      return res.status(400).json({ error: 'Username and password are required', code: 'invalid_request' });
     }
+    req.accessUsername = String(username).toLowerCase();
     
-    // Extract student basic info
-    const studentInfo = {
-      name: getValueByHeader(studentData, studentsHeaders, 'name'),
-      class: getValueByHeader(studentData, studentsHeaders, 'class'),
-      admissionNo: getValueByHeader(studentData, studentsHeaders, 'admission_no'),
-      rollNo: getValueByHeader(studentData, studentsHeaders, 'roll_no'),
-      dob: getValueByHeader(studentData, studentsHeaders, 'dob'),
-      contact: getValueByHeader(studentData, studentsHeaders, 'contact'),
-      photoUrl: getValueByHeader(studentData, studentsHeaders, 'photo_url') || '/api/placeholder/120/120'
-    };
-    
-    // Find student rows for each horizontal sheet
-    const subjectRow = findStudentByAdmissionNo(subjectsSheet.values, subjectsHeaders, admissionNumber);
-    const activitiesRow = findStudentByAdmissionNo(activitiesSheet.values, activitiesHeaders, admissionNumber);
-    const assignmentsRow = findStudentByAdmissionNo(assignmentsSheet.values, assignmentsHeaders, admissionNumber);
-    const testsRow = findStudentByAdmissionNo(testsSheet.values, testsHeaders, admissionNumber);
-    const correctionsRow = findStudentByAdmissionNo(correctionsSheet.values, correctionsHeaders, admissionNumber);
-    const attendanceRow = findStudentByAdmissionNo(attendanceSheet.values, attendanceHeaders, admissionNumber);
-    const disciplineRow = findStudentByAdmissionNo(disciplineSheet.values, disciplineHeaders, admissionNumber);
-    const gamesRow = gamesSheet.values ? findStudentByAdmissionNo(gamesSheet.values, gamesHeaders, admissionNumber) : null;
-    
-    // Process horizontal data for each section
-    const subjectProgress = processHorizontalSubjects(subjectsHeaders, subjectRow);
-    const subjectActivities = processHorizontalActivities(activitiesHeaders, activitiesRow);
-    const assignments = processHorizontalAssignments(assignmentsHeaders, assignmentsRow);
-    const tests = processHorizontalTests(testsHeaders, testsRow);
-    
-    // Sort tests by date (newest first) and take the 5 most recent for dashboard
-    const recentTests = [...tests].sort((a, b) => {
-      // Handle date format: dd-mm-yyyy
-      const partsA = a.date.split('-');
-      const partsB = b.date.split('-');
-      const dateA = new Date(partsA[2], partsA[1] - 1, partsA[0]);
-      const dateB = new Date(partsB[2], partsB[1] - 1, partsB[0]);
-      return dateB - dateA;
-    }).slice(0, 5).map(test => ({
-      subject: test.subject,
-      name: test.name,
-      date: test.date,
-      marks: `${test.marksObtained}/${test.maxMarks}`,
-      percentage: test.percentage,
-      grade: test.grade
-    }));
+    const account = req.tenant.staffAccounts.get(req.accessUsername);
+    if (!account || !(await verifyPassword(password, account.passwordHash))) {
+      return res.status(401).json({ error: 'Invalid username or password', code: 'invalid_credentials' });
+    }
     
-    const corrections = processHorizontalCorrections(correctionsHeaders, correctionsRow);
-    const attendance = processHorizontalAttendance(attendanceHeaders, attendanceRow);
-    const discipline = processHorizontalDiscipline(disciplineHeaders, disciplineRow);
-    const games = processHorizontalGames(gamesHeaders, gamesRow);
-    
-    // Calculate summary statistics
-    const completedAssignments = assignments.filter(a => a.status === 'complete').length;
-    const pendingAssignments = assignments.filter(a => a.status === 'pending').length;
-    const overallAttendance = attendance.length > 0 
-      ? attendance.reduce((sum, month) => sum + month.percentage, 0) / attendance.length
-      : 0;
-    
-    // Compile all data
-    return {
-      studentInfo,
-      subjectProgress,
-      recentTests,
-      subjectActivities,
-      assignments,
-      tests,
-      corrections,
-      attendance,
-      discipline,
-      games,
-      summary: {
-        totalSubjects: subjectProgress.length,
-        completedAssignments,
-        pendingAssignments,
-        attendancePercentage: `${overallAttendance.toFixed(1)}%`
-      }
-    };
+    const token = issueToken({
+      sub: account.username,
+      name: account.name || account.username,
+      role: account.role,
+      tenant: req.tenant.code
+    });
+    res.json({ token, username: account.username, name: account.name || account.username, role: account.role });
   } catch (error) {
-    console.error('Error processing student data:', error);
-    throw error;
+    sendError(res, error, 'during staff login');
+  }
+});
+
+// Optional blocks the combined response can add with ?include=
+const STUDENT_DATA_INCLUDES = ['analytics'];
+
+// Analytics settings for a request: the school's defaults, overridden by ?window=,
+// ?dropThreshold= and ?trendThreshold=
+function parseAnalyticsOptions(req) {
+  const options = { ...req.tenant.analytics };
+  
+  if (req.query.window !== undefined) {
+    const window = parseInt(req.query.window);
+    if (!/^\d+$/.test(req.query.window) || window < 1 || window > 20) {
+      return { error: 'Invalid "window". Must be a whole number of tests between 1 and 20.' };
+    }
+    options.window = window;
+  }
+  for (const name of ['dropThreshold', 'trendThreshold']) {
+    if (req.query[name] === undefined) continue;
+    const value = parseFloat(req.query[name]);
+    if (isNaN(value) || value < 0 || value > 100) {
+      return { error: `Invalid "${name}". Must be a number of percentage points between 0 and 100.` };
+    }
+    options[name] = value;
   }
+  return { options };
 }
 
-// Process horizontally structured subjects data
-function processHorizontalSubjects(headers, studentRow) {
-  if (!studentRow || !headers) return [];
+// Fetch student data for the admission number the caller's token was issued for.
+// ?year=2024-25 reads a past academic year; ?include=analytics adds the analytics block.
+app.get('/api/student-data', studentAccess, requireStudentToken, limitStudentsByToken, resolveYear, async (req, res) => {
+  const includes = String(req.query.include || '').split(',').map(name => name.trim()).filter(Boolean);
+  const unknown = includes.find(name => !STUDENT_DATA_INCLUDES.includes(name));
+  if (unknown) {
+    return res.status(400).json({ error: `Unknown include "${unknown}". Valid: ${STUDENT_DATA_INCLUDES.join(', ')}`, code: 'invalid_request' });
+  }
   
-  const subjects = [];
-  const progressSuffix = '_progress';
-  const gradeSuffix = '_grade';
+  const { options: analyticsOptions, error } = includes.includes('analytics') ? parseAnalyticsOptions(req) : {};
+  if (error) {
+    return res.status(400).json({ error, code: 'invalid_request' });
+  }
   
-  for (let i = 0; i < headers.length; i++) {
-    const header = headers[i].toLowerCase();
+  try {
+    const admissionNumber = req.admissionNumber;
     
-    if (header.endsWith(progressSuffix)) {
-      const subject = header.substring(0, header.length - progressSuffix.length);
-      
-      // Get the progress value
-      const progressValue = studentRow[i];
-      if (!progressValue) continue; // Skip if no progress value
-      
-      const progress = parseFloat(progressValue);
-      if (isNaN(progress)) continue; // Skip if progress is not a number
-      
-      // Find the matching grade column
-      const gradeHeader = `${subject}${gradeSuffix}`;
-      const gradeIndex = headers.findIndex(h => h.toLowerCase() === gradeHeader);
-      const grade = (gradeIndex !== -1 && studentRow[gradeIndex]) ? studentRow[gradeIndex] : '';
-      
-      // Only add subjects with valid progress values
-      subjects.push({
-        subject: capitalizeSubject(subject),
-        progress: progress,
-        grade: grade
-      });
+    // Read the workbook from the shared cache instead of calling Google every time
+    const workbook = await req.academicYear.workbookCache.get();
+    
+    // Process the response to extract data for the specific student
+    const processedData = req.tenant.buildStudentData(workbook, admissionNumber);
+    
+    res.json({
+      ...withPhotoLink(req, processedData),
+      ...(includes.includes('analytics') && { analytics: buildStudentAnalytics(processedData, analyticsOptions) }),
+      academicYear: { id: req.academicYear.id, label: req.academicYear.label }
+    });
+  } catch (error) {
+    sendError(res, error, 'fetching student data');
+  }
+});
+
+// List every class in the Students sheet
+app.get('/api/classes', requireAdmin, async (req, res) => {
+  try {
+    const workbook = await req.tenant.workbookCache.get();
+    res.json({ classes: listClasses(workbook) });
+  } catch (error) {
+    sendError(res, error, 'listing classes');
+  }
+});
+
+// Class roster with per-subject, attendance and workload statistics
+app.get('/api/classes/:class', requireAdmin, async (req, res) => {
+  try {
+    const workbook = await req.tenant.workbookCache.get();
+    const report = buildClassReport(workbook, req.params.class, req.tenant.sections);
+    
+    if (!report) {
+      return res.status(404).json({ error: `Class ${req.params.class} not found`, code: 'class_not_found' });
     }
+    
+    res.json(report);
+  } catch (error) {
+    sendError(res, error, 'building class report');
   }
-  
-  return subjects;
-}
+});
 
-// Process horizontally structured activities data
-function processHorizontalActivities(headers, studentRow) {
-  if (!studentRow || !headers) return [];
-  
-  const activities = [];
+// Find students by name (typos allowed), admission number, roll number or class, e.g.
+// /api/students/search?q=asha&class=6A. Staff only; the cards leave out DOB and contact.
+app.get('/api/students/search', logAccess, requireStaffToken, limitStudentsByToken, async (req, res) => {
+  const q = String(req.query.q || '').trim();
+  const className = String(req.query.class || '').trim();
+  if (!q && !className) {
+    return res.status(400).json({ error: 'Send "q" (a name, admission number, roll number or class) or "class"', code: 'invalid_request' });
+  }
+  if (q.length > 100) {
+    return res.status(400).json({ error: '"q" must be 100 characters or fewer', code: 'invalid_request' });
+  }
   
-  // Key format examples: math_activity1, math_activity1_date, math_activity1_description, etc.
-  const activityPattern = /^([a-z_]+)_activity(\d+)$/;
+  const limit = req.query.limit === undefined ? SEARCH_DEFAULT_LIMIT : parseInt(req.query.limit);
+  if (isNaN(limit) || limit < 1 || limit > SEARCH_MAX_LIMIT) {
+    return res.status(400).json({ error: `Invalid "limit". Must be between 1 and ${SEARCH_MAX_LIMIT}.`, code: 'invalid_request' });
+  }
   
-  for (let i = 0; i < headers.length; i++) {
-    const header = headers[i].toLowerCase();
-    const match = header.match(activityPattern);
-    
-    if (match && studentRow[i]) {
-      const subject = match[1]; // e.g., "math"
-      const activityNum = match[2]; // e.g., "1"
-      const activityName = studentRow[i];
-      
-      // Skip if no activity name
-      if (!activityName) continue;
-      
-      // Find related fields
-      const dateHeader = `${subject}_activity${activityNum}_date`;
-      const descHeader = `${subject}_activity${activityNum}_description`;
-      const statusHeader = `${subject}_activity${activityNum}_status`;
-      const remarkHeader = `${subject}_activity${activityNum}_remark`; // New remark field
-      
-      const dateIndex = headers.findIndex(h => h.toLowerCase() === dateHeader);
-      const descIndex = headers.findIndex(h => h.toLowerCase() === descHeader);
-      const statusIndex = headers.findIndex(h => h.toLowerCase() === statusHeader);
-      const remarkIndex = headers.findIndex(h => h.toLowerCase() === remarkHeader); // New remark index
-      
-      const date = dateIndex !== -1 ? (studentRow[dateIndex] || '') : '';
-      const description = descIndex !== -1 ? (studentRow[descIndex] || '') : '';
-      const status = statusIndex !== -1 ? (studentRow[statusIndex] || 'pending') : 'pending';
-      const remark = remarkIndex !== -1 ? (studentRow[remarkIndex] || '') : ''; // Get remark value
-      
-      activities.push({
-        subject: capitalizeSubject(subject),
-        activity: activityName,
-        date: date,
-        description: description,
-        status: status.toLowerCase(),
-        remark: remark // Include remark in the output
-      });
-    }
+  try {
+    const workbook = await req.tenant.workbookCache.get();
+    const { total, results } = searchStudents(workbook, { q, className, limit });
+    
+    res.json({
+      q,
+      class: className || null,
+      total,
+      results: results.map(student => ({
+        admissionNo: student.admissionNo,
+        name: student.name,
+        class: student.class,
+        rollNo: student.rollNo,
+        photoUrl: photoLink(req, student),
+        matchedOn: student.matchedOn,
+        score: student.score
+      }))
+    });
+  } catch (error) {
+    sendError(res, error, 'searching students');
+  }
+});
+
+// The student's subject progress, attendance and test averages across every academic year
+app.get('/api/students/:admission/history', studentAccess, requireStudentToken, limitStudentsByToken, async (req, res) => {
+  try {
+    // A year that can't be read is reported in place instead of failing the whole history
+    const entries = await Promise.all(req.tenant.years.list.map(async year => {
+      try {
+        const workbook = await year.workbookCache.get();
+        const enrolled = listStudents(workbook).some(s => s.admissionNo === req.admissionNumber);
+        return { year, studentData: enrolled ? req.tenant.buildStudentData(workbook, req.admissionNumber) : null };
+      } catch (error) {
+        req.log.error('Error reading academic year', { year: year.id, ...errorFields(error) });
+        return { year, studentData: null, error: 'Could not read this year\'s sheets' };
+      }
+    }));
+    
+    res.json(buildStudentHistory(req.admissionNumber, entries));
+  } catch (error) {
+    sendError(res, error, 'building student history');
+  }
+});
+
+// Per-subject test trends for one student: date-ordered percentages with a moving
+// average, trend direction, best and worst tests, sudden drops, and how monthly
+// attendance lines up with test results
+app.get('/api/students/:admission/analytics', studentAccess, requireStudentToken, limitStudentsByToken, resolveYear, async (req, res) => {
+  const { options, error } = parseAnalyticsOptions(req);
+  if (error) {
+    return res.status(400).json({ error, code: 'invalid_request' });
   }
   
-  return activities;
+  try {
+    const workbook = await req.academicYear.workbookCache.get();
+    const studentData = req.tenant.buildStudentData(workbook, req.admissionNumber);
+    
+    res.json({
+      admission: req.admissionNumber,
+      year: req.academicYear.id,
+      ...buildStudentAnalytics(studentData, options),
+      warnings: studentData.warnings.filter(warning => ['tests', 'attendance'].includes(warning.section))
+    });
+  } catch (error) {
+    sendError(res, error, 'building student analytics');
+  }
+});
+
+// Link to a student's photo route, or to the initials avatar when the student has
+// no photo. <img> tags can't send a token, so the photo link carries a short-lived key.
+function photoLink(req, { admissionNo, name, hasPhoto }) {
+  return hasPhoto
+    ? `${baseUrl(req)}/api/students/${admissionNo}/photo?key=${issueLinkKey('photo', admissionNo, req.tenant.code)}`
+    : `${baseUrl(req)}/api/placeholder/120/120?initials=${encodeURIComponent(initialsFor(name))}`;
 }
 
-// Process horizontally structured assignments data
-function processHorizontalAssignments(headers, studentRow) {
-  if (!studentRow || !headers) return [];
-  
-  const assignments = [];
-  
-  // Key format examples: math_assignment1, math_assignment1_assigned_date, etc.
-  const assignmentPattern = /^([a-z_]+)_assignment(\d+)$/;
-  
-  for (let i = 0; i < headers.length; i++) {
-    const header = headers[i].toLowerCase();
-    const match = header.match(assignmentPattern);
-    
-    if (match && studentRow[i]) {
-      const subject = match[1]; // e.g., "math"
-      const assignmentNum = match[2]; // e.g., "1"
-      const assignmentName = studentRow[i];
-      
-      // Skip if no assignment name
-      if (!assignmentName) continue;
-      
-      // Find related fields
-      const assignedDateHeader = `${subject}_assignment${assignmentNum}_assigned_date`;
-      const dueDateHeader = `${subject}_assignment${assignmentNum}_due_date`;
-      const statusHeader = `${subject}_assignment${assignmentNum}_status`;
-      const remarksHeader = `${subject}_assignment${assignmentNum}_remarks`;
-      
-      const assignedDateIndex = headers.findIndex(h => h.toLowerCase() === assignedDateHeader);
-      const dueDateIndex = headers.findIndex(h => h.toLowerCase() === dueDateHeader);
-      const statusIndex = headers.findIndex(h => h.toLowerCase() === statusHeader);
-      const remarksIndex = headers.findIndex(h => h.toLowerCase() === remarksHeader);
-      
-      const assignedDate = assignedDateIndex !== -1 ? (studentRow[assignedDateIndex] || '') : '';
-      const dueDate = dueDateIndex !== -1 ? (studentRow[dueDateIndex] || '') : '';
-      const status = statusIndex !== -1 ? (studentRow[statusIndex] || 'pending') : 'pending';
-      const remarks = remarksIndex !== -1 ? (studentRow[remarksIndex] || '') : '';
-      
-      assignments.push({
-        subject: capitalizeSubject(subject),
-        name: assignmentName,
-        assignedDate: assignedDate,
-        dueDate: dueDate,
-        status: status.toLowerCase(),
-        remarks: remarks
-      });
+// Student data with studentInfo.photoUrl pointing at photoLink
+function withPhotoLink(req, studentData) {
+  const { studentInfo } = studentData;
+  const hasPhoto = !studentInfo.photoUrl.startsWith('/api/placeholder/');
+  return { ...studentData, studentInfo: { ...studentInfo, photoUrl: photoLink(req, { ...studentInfo, hasPhoto }) } };
+}
+
+// Links that browsers open on their own (<img> tags, EventSource) can't send a token,
+// so they carry a short-lived key issued for one kind of link and one student instead.
+// Without a key the request needs a student or staff token as usual.
+function requireKeyOrToken(kind) {
+  return (req, res, next) => {
+    if (req.query.key === undefined) return requireStudentOrStaffToken(req, res, next);
+    
+    const payload = verifyLinkKey(String(req.query.key), kind, req.params.admission, req.tenant.code);
+    if (!payload) {
+      return res.status(401).json({ error: `Invalid or expired ${kind} key`, code: 'invalid_token' });
     }
-  }
-  
-  return assignments;
+    req.auth = payload;
+    req.admissionNumber = req.params.admission;
+    next();
+  };
 }
 
-// Process horizontally structured tests data
-function processHorizontalTests(headers, studentRow) {
-  if (!studentRow || !headers) return [];
-  
-  const tests = [];
+// Initials avatar as SVG, e.g. /api/placeholder/120/120?name=Asha%20Sharma or ?initials=AS
+app.get('/api/placeholder/:w/:h', (req, res) => {
+  const width = parseSize(req.params.w);
+  const height = parseSize(req.params.h);
+  if (!width || !height) {
+    return res.status(400).json({ error: 'Width and height must be numbers of pixels', code: 'invalid_request' });
+  }
   
-  // Key format examples: math_test1, math_test1_date, math_test1_max_marks, etc.
-  const testPattern = /^([a-z_]+)_test(\d+)$/;
+  res.set('Content-Type', 'image/svg+xml');
+  res.set('Cache-Control', 'public, max-age=604800');
+  res.send(renderPlaceholder({ width, height, name: req.query.name, initials: req.query.initials }));
+});
+
+// The student's photo from photo_url (Drive share links work), cropped to ?w= by ?h=
+// (120 square by default). Students without a usable photo get the initials avatar.
+app.get('/api/students/:admission/photo', studentAccess, requireKeyOrToken('photo'), async (req, res) => {
+  const width = parseSize(req.query.w, 120);
+  const height = parseSize(req.query.h, width);
+  if (!width || !height) {
+    return res.status(400).json({ error: 'Invalid "w" or "h". Use a number of pixels.', code: 'invalid_request' });
+  }
   
-  for (let i = 0; i < headers.length; i++) {
-    const header = headers[i].toLowerCase();
-    const match = header.match(testPattern);
-    
-    if (match && studentRow[i]) {
-      const subject = match[1]; // e.g., "math"
-      const testNum = match[2]; // e.g., "1"
-      const testName = studentRow[i];
-      
-      // Skip if no test name
-      if (!testName) continue;
-      
-      // Find related fields
-      const dateHeader = `${subject}_test${testNum}_date`;
-      const maxMarksHeader = `${subject}_test${testNum}_max_marks`;
-      const marksObtainedHeader = `${subject}_test${testNum}_marks_obtained`;
-      const percentageHeader = `${subject}_test${testNum}_percentage`;
-      const gradeHeader = `${subject}_test${testNum}_grade`;
-      
-      const dateIndex = headers.findIndex(h => h.toLowerCase() === dateHeader);
-      const maxMarksIndex = headers.findIndex(h => h.toLowerCase() === maxMarksHeader);
-      const marksObtainedIndex = headers.findIndex(h => h.toLowerCase() === marksObtainedHeader);
-      const percentageIndex = headers.findIndex(h => h.toLowerCase() === percentageHeader);
-      const gradeIndex = headers.findIndex(h => h.toLowerCase() === gradeHeader);
-      
-      const date = dateIndex !== -1 ? (studentRow[dateIndex] || '') : '';
-      
-      // Parse numeric values safely
-      let maxMarks = 0;
-      if (maxMarksIndex !== -1 && studentRow[maxMarksIndex]) {
-        maxMarks = parseInt(studentRow[maxMarksIndex]);
-        if (isNaN(maxMarks)) maxMarks = 0;
-      }
-      
-      let marksObtained = 0;
-      if (marksObtainedIndex !== -1 && studentRow[marksObtainedIndex]) {
-        marksObtained = parseInt(studentRow[marksObtainedIndex]);
-        if (isNaN(marksObtained)) marksObtained = 0;
-      }
-      
-      let percentage = 0;
-      if (percentageIndex !== -1 && studentRow[percentageIndex]) {
-        percentage = parseFloat(studentRow[percentageIndex]);
-        if (isNaN(percentage)) {
-          // Calculate percentage if not provided but we have maxMarks and marksObtained
-          if (maxMarks > 0) {
-            percentage = (marksObtained / maxMarks) * 100;
-          }
-        }
-      } else if (maxMarks > 0) {
-        // Calculate percentage if not provided
-        percentage = (marksObtained / maxMarks) * 100;
+  try {
+    const workbook = await req.tenant.workbookCache.get();
+    const studentsValues = getStudentsValues(workbook);
+    const studentsHeaders = studentsValues[0] || [];
+    const studentRow = findStudentByAdmissionNo(studentsValues, studentsHeaders, req.admissionNumber);
+    if (!studentRow) {
+      throw new StudentNotFoundError(req.admissionNumber);
+    }
+    
+    // A broken link shouldn't break the page; log it and show the avatar instead
+    const source = getValueByHeader(studentRow, studentsHeaders, 'photo_url');
+    let photo = null;
+    if (source) {
+      try {
+        photo = await req.tenant.photos.get(source, { width, height });
+      } catch (error) {
+        req.log.warn('Could not load student photo', { admissionNo: req.admissionNumber, ...errorFields(error) });
       }
-      
-      const grade = gradeIndex !== -1 ? (studentRow[gradeIndex] || '') : '';
-      
-      tests.push({
-        subject: capitalizeSubject(subject),
-        name: testName,
-        date: date,
-        maxMarks: maxMarks,
-        marksObtained: marksObtained,
-        percentage: percentage,
-        grade: grade
-      });
     }
+    
+    if (!photo) {
+      const name = getValueByHeader(studentRow, studentsHeaders, 'name');
+      res.set('Content-Type', 'image/svg+xml');
+      res.set('Cache-Control', 'private, max-age=300');
+      return res.send(renderPlaceholder({ width, height, name }));
+    }
+    
+    res.set('Content-Type', photo.contentType);
+    res.set('Cache-Control', `private, max-age=${req.tenant.photos.ttlSeconds}`);
+    res.send(photo.body);
+  } catch (error) {
+    sendError(res, error, 'loading student photo');
   }
-  
-  return tests;
-}
+});
 
-// Process horizontally structured corrections data
-function processHorizontalCorrections(headers, studentRow) {
-  if (!studentRow || !headers) return [];
+// Changes to the student's record, oldest first: new tests, assignment status changes,
+// new discipline entries, another month of attendance and so on. ?since= takes the id
+// of the last change the client has seen, or a time.
+app.get('/api/students/:admission/changes', studentAccess, requireStudentToken, limitStudentsByToken, (req, res) => {
+  const since = req.query.since === undefined ? undefined : String(req.query.since);
+  if (since !== undefined && !/^\d+$/.test(since) && isNaN(new Date(since).getTime())) {
+    return res.status(400).json({ error: 'Invalid "since". Use a change id or an ISO date-time.', code: 'invalid_request' });
+  }
   
-  const corrections = [];
+  const limit = req.query.limit === undefined ? 100 : parseInt(req.query.limit);
+  if (isNaN(limit) || limit < 1 || limit > 1000) {
+    return res.status(400).json({ error: 'Invalid "limit". Must be between 1 and 1000.', code: 'invalid_request' });
+  }
   
-  // Key format examples: math_correction1, math_correction1_date, etc.
-  const correctionPattern = /^([a-z_]+)_correction(\d+)$/;
+  try {
+    const { checkedAt, lastId } = req.tenant.changeFeed.status();
+    res.json({
+      admission: req.admissionNumber,
+      checkedAt,
+      lastId,
+      changes: req.tenant.changeFeed.changes(req.admissionNumber, { since, limit }),
+      streamUrl: `${baseUrl(req)}/api/students/${req.admissionNumber}/changes/stream?key=${issueLinkKey('changes', req.admissionNumber, req.tenant.code)}`
+    });
+  } catch (error) {
+    sendError(res, error, 'reading student changes');
+  }
+});
+
+// Seconds between keep-alive comments on an open change stream, so proxies don't close it
+const CHANGE_STREAM_HEARTBEAT_SECONDS = 25;
+
+// Longest delay setTimeout handles; tokens that live longer are checked again after it
+const MAX_TIMER_MS = 2147483647;
+
+const limitChangeStreamsByIp = (req, res, next) => req.tenant.changeStreamLimits.byIp(req, res, next);
+const limitChangeStreamsByUser = (req, res, next) => req.tenant.changeStreamLimits.byUser(req, res, next);
+
+// The same changes as server-sent events ("change" events whose id is the change id).
+// Reconnecting clients get what they missed from Last-Event-ID or ?since=. The stream
+// ends with an "expired" event when the key or token it was opened with expires, so a
+// revoked or timed-out login doesn't keep receiving changes.
+app.get('/api/students/:admission/changes/stream', studentAccess, limitChangeStreamsByIp, requireKeyOrToken('changes'), limitChangeStreamsByUser, (req, res) => {
+  const since = req.get('Last-Event-ID') || req.query.since;
+  const feed = req.tenant.changeFeed;
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 10000\n\n');
   
-  for (let i = 0; i < headers.length; i++) {
-    const header = headers[i].toLowerCase();
-    const match = header.match(correctionPattern);
-    
-    if (match && studentRow[i]) {
-      const subject = match[1]; // e.g., "math"
-      const correctionNum = match[2]; // e.g., "1"
-      const copyType = studentRow[i];
-      
-      // Skip if no copy type
-      if (!copyType) continue;
-      
-      // Find related fields
-      const dateHeader = `${subject}_correction${correctionNum}_date`;
-      const improvementsHeader = `${subject}_correction${correctionNum}_improvements`;
-      const remarksHeader = `${subject}_correction${correctionNum}_remarks`;
-      
-      const dateIndex = headers.findIndex(h => h.toLowerCase() === dateHeader);
-      const improvementsIndex = headers.findIndex(h => h.toLowerCase() === improvementsHeader);
-      const remarksIndex = headers.findIndex(h => h.toLowerCase() === remarksHeader);
-      
-      const date = dateIndex !== -1 ? (studentRow[dateIndex] || '') : '';
-      const improvements = improvementsIndex !== -1 ? (studentRow[improvementsIndex] || '') : '';
-      const remarks = remarksIndex !== -1 ? (studentRow[remarksIndex] || '') : '';
-      
-      corrections.push({
-        subject: capitalizeSubject(subject),
-        copyType: copyType,
-        date: date,
-        improvements: improvements,
-        remarks: remarks
-      });
-    }
+  const send = change => res.write(`id: ${change.id}\nevent: change\ndata: ${JSON.stringify(change)}\n\n`);
+  if (since) {
+    feed.changes(req.admissionNumber, { since, limit: 1000 }).forEach(send);
   }
   
-  return corrections;
+  const unsubscribe = feed.subscribe(req.admissionNumber, send);
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), CHANGE_STREAM_HEARTBEAT_SECONDS * 1000);
+
+  let expiry = null;
+  const expireAt = req.auth.exp * 1000;
+  const scheduleExpiry = () => {
+    const delay = expireAt - Date.now();
+    if (delay > MAX_TIMER_MS) {
+      expiry = setTimeout(scheduleExpiry, MAX_TIMER_MS);
+      return;
+    }
+    expiry = setTimeout(() => {
+      res.write(`event: expired\ndata: ${JSON.stringify({ error: 'Key or token expired', code: 'invalid_token' })}\n\n`);
+      res.end();
+    }, Math.max(delay, 0));
+  };
+  scheduleExpiry();
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    unsubscribe();
+  });
+});
+
+// Leave paths that aren't a section (e.g. /api/students/12345/photo) to later routes
+function knownSection(req, res, next) {
+  if (!resolveSectionName(req.params.section, req.tenant.sections)) return next('route');
+  next();
 }
 
-// Process horizontally structured attendance data
-function processHorizontalAttendance(headers, studentRow) {
-  if (!studentRow || !headers) return [];
-  
-  const attendance = [];
+// One section of a student's data with filters, sorting and pagination,
+// e.g. /api/students/12345/tests?subject=math&sort=-date&limit=10&fields=name,percentage
+app.get('/api/students/:admission/:section', knownSection, studentAccess, requireStudentToken, limitStudentsByToken, resolveYear, async (req, res) => {
+  const sectionName = resolveSectionName(req.params.section, req.tenant.sections);
   
-  // Key format examples: april_working, april_present, april_absent, april_percent
-  const workingSuffix = '_working';
-  
-  for (let i = 0; i < headers.length; i++) {
-    const header = headers[i].toLowerCase();
+  try {
+    const { options, error } = parseSectionQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error, code: 'invalid_request' });
+    }
     
-    if (header.endsWith(workingSuffix) && studentRow[i]) {
-      const month = header.substring(0, header.length - workingSuffix.length);
-      
-      // Parse working days safely
-      let workingDays = 0;
-      if (studentRow[i]) {
-        workingDays = parseInt(studentRow[i]);
-        if (isNaN(workingDays)) workingDays = 0;
-      }
-      
-      // Skip if no working days
-      if (workingDays <= 0) continue;
-      
-      // Find related fields
-      const presentHeader = `${month}_present`;
-      const absentHeader = `${month}_absent`;
-      const percentHeader = `${month}_percent`;
-      
-      const presentIndex = headers.findIndex(h => h.toLowerCase() === presentHeader);
-      const absentIndex = headers.findIndex(h => h.toLowerCase() === absentHeader);
-      const percentIndex = headers.findIndex(h => h.toLowerCase() === percentHeader);
-      
-      // Parse present days safely
-      let present = 0;
-      if (presentIndex !== -1 && studentRow[presentIndex]) {
-        present = parseInt(studentRow[presentIndex]);
-        if (isNaN(present)) present = 0;
-      }
-      
-      // Parse absent days safely
-      let absent = 0;
-      if (absentIndex !== -1 && studentRow[absentIndex]) {
-        absent = parseInt(studentRow[absentIndex]);
-        if (isNaN(absent)) absent = 0;
-      }
-      
-      // Parse or calculate percentage
-      let percentage = 0;
-      if (percentIndex !== -1 && studentRow[percentIndex]) {
-        percentage = parseFloat(studentRow[percentIndex]);
-        if (isNaN(percentage)) {
-          // Calculate if parsing failed
-          if (workingDays > 0) {
-            percentage = (present / workingDays) * 100;
-          }
-        }
-      } else if (workingDays > 0) {
-        // Calculate if not provided
-        percentage = (present / workingDays) * 100;
-      }
-      
-      attendance.push({
-        month: capitalizeFirstLetter(month),
-        workingDays: workingDays,
-        present: present,
-        absent: absent,
-        percentage: percentage
-      });
+    const workbook = await req.academicYear.workbookCache.get();
+    const studentData = req.tenant.buildStudentData(workbook, req.admissionNumber);
+    const { total, items } = querySection(studentData[sectionName] || [], options);
+    
+    res.json({
+      admission: req.admissionNumber,
+      year: req.academicYear.id,
+      section: req.params.section,
+      total,
+      limit: options.limit,
+      offset: options.offset,
+      items,
+      warnings: studentData.warnings.filter(warning => warning.section === sectionName)
+    });
+  } catch (error) {
+    sendError(res, error, `fetching ${req.params.section} section`);
+  }
+});
+
+// Printable PDF report card for one student
+app.get('/api/student-data/report.pdf', studentAccess, requireStudentToken, limitStudentsByToken, resolveYear, async (req, res) => {
+  try {
+    const workbook = await req.academicYear.workbookCache.get();
+    const studentData = req.tenant.buildStudentData(workbook, req.admissionNumber);
+    const pdf = await createReportCardPdf(studentData, req.tenant.branding, req.tenant.photos);
+    
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `inline; filename="${reportCardFileName(studentData.studentInfo)}"`);
+    res.send(pdf);
+  } catch (error) {
+    sendError(res, error, 'creating report card');
+  }
+});
+
+// Zip of report cards for every student in a class
+app.get('/api/classes/:class/report-cards.zip', requireAdmin, async (req, res) => {
+  try {
+    const workbook = await req.tenant.workbookCache.get();
+    const target = normalizeClassName(req.params.class);
+    const students = listStudents(workbook).filter(s => normalizeClassName(s.class) === target);
+    
+    if (students.length === 0) {
+      return res.status(404).json({ error: `Class ${req.params.class} not found`, code: 'class_not_found' });
+    }
+    
+    const studentsData = students.map(s => req.tenant.buildStudentData(workbook, s.admissionNo));
+    const fileName = `report-cards-${students[0].class.replace(/[^A-Za-z0-9]+/g, '_')}.zip`;
+    
+    res.set('Content-Type', 'application/zip');
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+    await writeReportCardZip(res, studentsData, req.tenant.branding, req.tenant.photos);
+  } catch (error) {
+    if (!res.headersSent) {
+      sendError(res, error, 'creating class report cards');
+    } else {
+      req.log.error('Error creating class report cards', errorFields(error));
+      res.end();
     }
   }
-  
-  return attendance;
-}
+});
 
-// Process horizontally structured discipline data
-function processHorizontalDiscipline(headers, studentRow) {
-  if (!studentRow || !headers) return [];
-  
-  const disciplineRecords = [];
-  
-  // Modified pattern to match discipline1_description column
-  const disciplinePattern = /^discipline(\d+)_description$/;
-  
-  for (let i = 0; i < headers.length; i++) {
-    const header = headers[i].toLowerCase();
-    const match = header.match(disciplinePattern);
+// Data validation report for teachers. ?refresh=true re-reads the sheets first,
+// ?severity=error and ?sheet=Tests narrow the list.
+app.get('/api/admin/validate', requireAdmin, async (req, res) => {
+  try {
+    const workbook = req.query.refresh === 'true' ? await req.tenant.workbookCache.refresh() : await req.tenant.workbookCache.get();
+    const report = validateWorkbook(workbook, req.tenant.sections);
     
-    if (match && studentRow[i]) {
-      const disciplineNum = match[1]; // e.g., "1"
-      const description = studentRow[i];
-      
-      // Skip if no description
-      if (!description) continue;
-      
-      // Find related fields
-      const dateHeader = `discipline${disciplineNum}_date`;
-      const typeHeader = `discipline${disciplineNum}_type`;
-      const actionHeader = `discipline${disciplineNum}_action`;
-      const teacherHeader = `discipline${disciplineNum}_teacher`;
-      const statusHeader = `discipline${disciplineNum}_status`;
-      const pointsHeader = `discipline${disciplineNum}_points`;
-      const remarksHeader = `discipline${disciplineNum}_remarks`;
-      
-      const dateIndex = headers.findIndex(h => h.toLowerCase() === dateHeader);
-      const typeIndex = headers.findIndex(h => h.toLowerCase() === typeHeader);
-      const actionIndex = headers.findIndex(h => h.toLowerCase() === actionHeader);
-      const teacherIndex = headers.findIndex(h => h.toLowerCase() === teacherHeader);
-      const statusIndex = headers.findIndex(h => h.toLowerCase() === statusHeader);
-      const pointsIndex = headers.findIndex(h => h.toLowerCase() === pointsHeader);
-      const remarksIndex = headers.findIndex(h => h.toLowerCase() === remarksHeader);
-      
-      const date = dateIndex !== -1 ? (studentRow[dateIndex] || '') : '';
-      const type = typeIndex !== -1 ? (studentRow[typeIndex] || '') : '';
-      const action = actionIndex !== -1 ? (studentRow[actionIndex] || '') : '';
-      const teacher = teacherIndex !== -1 ? (studentRow[teacherIndex] || '') : '';
-      const status = statusIndex !== -1 ? (studentRow[statusIndex] || 'pending') : 'pending';
-      
-      // Parse points safely
-      let points = 0;
-      if (pointsIndex !== -1 && studentRow[pointsIndex]) {
-        points = parseInt(studentRow[pointsIndex]);
-        if (isNaN(points)) points = 0;
-      }
-      
-      const remarks = remarksIndex !== -1 ? (studentRow[remarksIndex] || '') : '';
-      
-      disciplineRecords.push({
-        date: date,
-        type: type,
-        description: description,
-        action: action,
-        teacher: teacher,
-        status: status.toLowerCase(),
-        points: points,
-        remarks: remarks
-      });
+    if (req.query.severity || req.query.sheet) {
+      report.issues = report.issues.filter(issue =>
+        (!req.query.severity || issue.severity === req.query.severity) &&
+        (!req.query.sheet || issue.sheet.toLowerCase() === String(req.query.sheet).toLowerCase())
+      );
     }
+    
+    res.json(report);
+  } catch (error) {
+    sendError(res, error, 'validating sheets');
   }
-  
-  return disciplineRecords;
+});
+
+// Base URL for links, from the school's PUBLIC_BASE_URL or the incoming request (with any school prefix)
+function baseUrl(req) {
+  const configured = req.tenant.publicBaseUrl;
+  return configured ? configured.replace(/\/$/, '') : `${req.protocol}://${req.get('host')}${req.tenantPrefix}`;
 }
 
-// Process horizontally structured games data
-function processHorizontalGames(headers, studentRow) {
-  if (!studentRow || !headers) return [];
-  
-  const games = [];
-  
-  // Key format examples: math_game1, math_game1_date, math_game1_description, etc.
-  const gamePattern = /^([a-z_]+)_game(\d+)$/;
-  
-  for (let i = 0; i < headers.length; i++) {
-    const header = headers[i].toLowerCase();
-    const match = header.match(gamePattern);
-    
-    if (match && studentRow[i]) {
-      const subject = match[1]; // e.g., "math"
-      const gameNum = match[2]; // e.g., "1"
-      const gameName = studentRow[i];
-      
-      // Skip if no game name
-      if (!gameName) continue;
-      
-      // Find related fields
-      const dateHeader = `${subject}_game${gameNum}_date`;
-      const descHeader = `${subject}_game${gameNum}_description`;
-      const statusHeader = `${subject}_game${gameNum}_status`;
-      
-      const dateIndex = headers.findIndex(h => h.toLowerCase() === dateHeader);
-      const descIndex = headers.findIndex(h => h.toLowerCase() === descHeader);
-      const statusIndex = headers.findIndex(h => h.toLowerCase() === statusHeader);
-      
-      const date = dateIndex !== -1 ? (studentRow[dateIndex] || '') : '';
-      const description = descIndex !== -1 ? (studentRow[descIndex] || '') : '';
-      const status = statusIndex !== -1 ? (studentRow[statusIndex] || 'pending') : 'pending';
-      
-      games.push({
-        subject: capitalizeSubject(subject),
-        name: gameName,
-        date: date,
-        description: description,
-        status: status.toLowerCase()
-      });
+// Calendar feed token, scoped to the school when there is more than one
+function schoolFeedToken(req, kind, value) {
+  return feedToken(kind, `${req.tenant.feedScope}${value}`);
+}
+
+// Subscribable calendar URL for the logged-in student
+app.get('/api/calendar/feed', requireStudentToken, (req, res) => {
+  const token = schoolFeedToken(req, 'student', req.admissionNumber);
+  res.json({ url: `${baseUrl(req)}/api/calendar/${token}.ics` });
+});
+
+// Subscribable calendar URL for a class, for teachers
+app.get('/api/classes/:class/calendar', requireAdmin, async (req, res) => {
+  try {
+    const workbook = await req.tenant.workbookCache.get();
+    const target = normalizeClassName(req.params.class);
+    if (!listStudents(workbook).some(s => normalizeClassName(s.class) === target)) {
+      return res.status(404).json({ error: `Class ${req.params.class} not found`, code: 'class_not_found' });
     }
+    
+    const token = schoolFeedToken(req, 'class', target);
+    res.json({ url: `${baseUrl(req)}/api/calendar/${token}.ics` });
+  } catch (error) {
+    sendError(res, error, 'creating class calendar link');
   }
-  
-  return games;
-}
+});
 
-// Helper function to find a student by admission number
-function findStudentByAdmissionNo(values, headers, admissionNo) {
-  if (!values || !headers || values.length < 2) return null;
-  
-  const admissionIndex = headers.findIndex(h => h.toLowerCase() === 'admission_no');
-  if (admissionIndex === -1) return null;
-  
-  // Skip header row (index 0) and find student
-  for (let i = 1; i < values.length; i++) {
-    if (values[i] && values[i][admissionIndex] === admissionNo) {
-      return values[i];
+// iCalendar feed for a student or class, addressed by its secret feed token
+app.get('/api/calendar/:token.ics', async (req, res) => {
+  try {
+    const workbook = await req.tenant.workbookCache.get();
+    const students = listStudents(workbook);
+    const token = req.params.token;
+    
+    let calendar = null;
+    const student = students.find(s => tokenMatches(token, schoolFeedToken(req, 'student', s.admissionNo)));
+    
+    if (student) {
+      const studentData = req.tenant.buildStudentData(workbook, student.admissionNo);
+      calendar = renderCalendar(`${studentData.studentInfo.name} - School Calendar`, buildStudentEvents(studentData, req.tenant.code));
+    } else {
+      const classNames = [...new Set(students.map(s => normalizeClassName(s.class)).filter(Boolean))];
+      const className = classNames.find(name => tokenMatches(token, schoolFeedToken(req, 'class', name)));
+      
+      if (className) {
+        const studentsData = students
+          .filter(s => normalizeClassName(s.class) === className)
+          .map(s => req.tenant.buildStudentData(workbook, s.admissionNo));
+        calendar = renderCalendar(`Class ${className} - School Calendar`, buildClassEvents(studentsData, className, req.tenant.code));
+      }
+    }
+    
+    if (!calendar) {
+      return res.status(404).json({ error: 'Calendar feed not found', code: 'not_found' });
     }
+    
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'private, max-age=900');
+    res.send(calendar);
+  } catch (error) {
+    sendError(res, error, 'creating calendar feed');
   }
-  
-  return null;
+});
+
+// Evaluate alert rules now. ?dryRun=true lists what would be sent without sending it.
+app.post('/api/admin/alerts/run', requireAdmin, async (req, res) => {
+  try {
+    const result = await req.tenant.alertService.run({ dryRun: req.query.dryRun === 'true' });
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'running alerts');
+  }
+});
+
+// Compare the sheets with the change feed's snapshots now instead of waiting for the schedule
+app.post('/api/admin/changes/check', requireAdmin, async (req, res) => {
+  try {
+    res.json(await req.tenant.changeFeed.check());
+  } catch (error) {
+    sendError(res, error, 'checking for student changes');
+  }
+});
+
+// Recently delivered alerts, optionally for one student
+app.get('/api/admin/alerts', requireAdmin, (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+  res.json({
+    rules: req.tenant.alertService.rules,
+    channels: req.tenant.alertService.channels,
+    alerts: req.tenant.alertService.history({ admissionNo: req.query.admission, limit })
+  });
+});
+
+// Only allow teacher edits when the data source can write
+function requireWritable(req, res, next) {
+  if (!req.tenant.writeBack.canWrite()) {
+    return res.status(503).json({ error: 'Editing is not available. Configure GOOGLE_SERVICE_ACCOUNT_FILE or use the local data source.', code: 'writes_disabled' });
+  }
+  next();
 }
 
-// Helper function to get a value by header name
-function getValueByHeader(row, headers, headerName) {
-  if (!row || !headers) return '';
-  
-  const index = headers.findIndex(h => h.toLowerCase() === headerName.toLowerCase());
-  return index !== -1 && index < row.length ? (row[index] || '') : '';
+// Send a write-back result, or its error
+function sendWriteResult(res, result, successStatus) {
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error, code: result.code });
+  }
+  res.status(successStatus).json(result);
 }
 
-// Helper function to capitalize first letter
-function capitalizeFirstLetter(string) {
-  if (!string) return '';
-  return string.charAt(0).toUpperCase() + string.slice(1);
+// Update an assignment's status and/or remarks, e.g. PATCH .../assignments/math_assignment2 { "status": "completed" }.
+// status must be pending, complete, completed, submitted or done.
+app.patch('/api/teachers/students/:admission/assignments/:id', requireStaffToken, requireWritable, async (req, res) => {
+  try {
+    const result = await req.tenant.writeBack.updateAssignment(req.params.admission, req.params.id, req.body || {}, req.auth);
+    sendWriteResult(res, result, 200);
+  } catch (error) {
+    sendError(res, error, 'updating assignment');
+  }
+});
+
+// Log the next correction for a subject: { subject, copyType, date?, improvements?, remarks? }
+app.post('/api/teachers/students/:admission/corrections', requireStaffToken, requireWritable, async (req, res) => {
+  try {
+    const result = await req.tenant.writeBack.addCorrection(req.params.admission, req.body || {}, req.auth);
+    sendWriteResult(res, result, 201);
+  } catch (error) {
+    sendError(res, error, 'adding correction');
+  }
+});
+
+// Add a discipline record: { description, date?, type?, action?, teacher?, status?, points?, remarks? }
+app.post('/api/teachers/students/:admission/discipline', requireStaffToken, requireWritable, async (req, res) => {
+  try {
+    const result = await req.tenant.writeBack.addDiscipline(req.params.admission, req.body || {}, req.auth);
+    sendWriteResult(res, result, 201);
+  } catch (error) {
+    sendError(res, error, 'adding discipline record');
+  }
+});
+
+// One subject's workload across a class, e.g. /api/teachers/subjects/math?class=6A: pending
+// and overdue assignments, unfinished activities and games, and students whose notebook
+// hasn't been corrected in ?correctionDays= days (30 by default). Without ?class, every class.
+app.get('/api/teachers/subjects/:subject', requireStaffToken, async (req, res) => {
+  const correctionDays = req.query.correctionDays === undefined ? DEFAULT_CORRECTION_DAYS : parseInt(req.query.correctionDays);
+  if (isNaN(correctionDays) || correctionDays < 1) {
+    return res.status(400).json({ error: 'Invalid "correctionDays". Must be 1 or more.', code: 'invalid_request' });
+  }
+  
+  try {
+    const workbook = await req.tenant.workbookCache.get();
+    res.json(buildSubjectWorkload(workbook, req.params.subject, {
+      className: req.query.class,
+      sections: req.tenant.sections,
+      correctionDays
+    }));
+  } catch (error) {
+    sendError(res, error, 'building subject workload');
+  }
+});
+
+// Audit trail of teacher edits, newest first. Filter with ?admission, ?actor and ?since.
+app.get('/api/admin/audit', requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    res.json({
+      entries: await req.tenant.auditLog.query({
+        admissionNo: req.query.admission,
+        actor: req.query.actor,
+        since: req.query.since,
+        limit
+      })
+    });
+  } catch (error) {
+    sendError(res, error, 'reading audit log');
+  }
+});
+
+// Access log of student data lookups and logins, newest first, plus the IPs blocked
+// right now. Filter with ?admission, ?ip, ?actor, ?result (ok, denied, not_found,
+// rate_limited, blocked, error) and ?since.
+app.get('/api/admin/access-log', requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    res.json({
+      blocked: req.tenant.enumerationGuard.blocked(),
+      entries: await req.tenant.accessLog.query({
+        admissionNo: req.query.admission,
+        ip: req.query.ip,
+        actor: req.query.actor,
+        result: req.query.result,
+        since: req.query.since,
+        limit
+      })
+    });
+  } catch (error) {
+    sendError(res, error, 'reading access log');
+  }
+});
+
+// API status endpoint
+app.get('/api/status', (req, res) => {
+  res.json({ 
+    status: 'online',
+    message: 'Student Portfolio API is running',
+    school: req.tenant.code,
+    dataSource: req.tenant.dataSource.name,
+    sheetsConfigured: req.tenant.dataSource.isConfigured(),
+    writable: req.tenant.writeBack.canWrite(),
+    academicYear: req.tenant.currentYear.id,
+    cache: req.tenant.workbookCache.stats(),
+    years: req.tenant.years.list.map(year => ({ id: year.id, label: year.label, current: year.current }))
+  });
+});
+
+// How long the health check waits for the data source to answer
+const HEALTH_CHECK_TIMEOUT_MS = 3000;
+
+// Health check: makes a small uncached call to the data source to see that it
+// answers right now, then checks that every sheet in the current year's cached
+// workbook exists with an admission_no header and reports how old the copy is.
+// The live call reads no cell values, so polling it costs one light request;
+// POST /api/admin/cache/refresh forces a full read.
+// 200 when ok or degraded (an optional sheet has a problem, or the data source
+// isn't answering and an older copy is being served), 503 when down.
+app.get('/api/health', async (req, res) => {
+  const year = req.tenant.currentYear;
+  const report = {
+    school: req.tenant.code,
+    academicYear: year.id,
+    checkedAt: new Date().toISOString()
+  };
+  res.set('Cache-Control', 'no-store');
+
+  const live = await pingDataSource(req, year.dataSource);
+
+  let workbook;
+  try {
+    workbook = await year.workbookCache.get();
+  } catch (error) {
+    const { code, message } = toApiError(error);
+    req.log.warn('Health check could not read the workbook', errorFields(error));
+    return res.status(503).json({
+      status: 'down',
+      ...report,
+      spreadsheet: { source: year.dataSource.name, ...live, ...cacheHealth(year.workbookCache), ok: false, code, error: message },
+      sheets: []
+    });
+  }
+
+  const cache = cacheHealth(year.workbookCache);
+  const { status, sheets } = checkWorkbookSheets(workbook, req.tenant.sections, year.sheetTitle);
+  const overall = status === 'ok' && (!live.ok || cache.lastError) ? 'degraded' : status;
+  res.status(overall === 'down' ? 503 : 200).json({
+    status: overall,
+    ...report,
+    spreadsheet: { source: year.dataSource.name, ...live, ...cache, ok: live.ok && !cache.lastError },
+    sheets
+  });
+});
+
+// Ask the data source directly whether it answers, bypassing the cache
+async function pingDataSource(req, dataSource) {
+  const started = Date.now();
+  try {
+    await dataSource.ping({ timeout: HEALTH_CHECK_TIMEOUT_MS });
+    return { ok: true, responseMs: Date.now() - started };
+  } catch (error) {
+    const { code, message } = toApiError(error);
+    req.log.warn('Health check could not reach the data source', errorFields(error));
+    return { ok: false, responseMs: Date.now() - started, code, error: message };
+  }
 }
 
-// Helper function to capitalize subject names (handles multi-word subjects)
-function capitalizeSubject(subject) {
-  if (!subject) return '';
-  return subject.split('_')
-    .map(word => capitalizeFirstLetter(word))
-    .join(' ');
+// Age of the cached workbook and the last failed refresh, if the latest one failed
+function cacheHealth(workbookCache) {
+  const { fetchedAt, ageSeconds, stale, lastError } = workbookCache.stats();
+  return { fetchedAt, ageSeconds, stale, lastError };
 }
 
+// OpenAPI description of the whole API, pointed at the server (and school) it was fetched from
+app.get('/api/openapi.json', (req, res) => {
+  res.json({ ...openapi, servers: [{ url: baseUrl(req) }] });
+});
+
+// Admin endpoint to force a fresh fetch of the workbook
+app.post('/api/admin/cache/refresh', requireAdmin, async (req, res) => {
+  try {
+    await req.tenant.workbookCache.refresh();
+    res.json({ message: 'Cache refreshed', cache: req.tenant.workbookCache.stats() });
+  } catch (error) {
+    sendError(res, error, 'refreshing workbook cache');
+  }
+});
+
 // Start the server
 app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Google Sheets ID configured: ${Boolean(GOOGLE_SHEETS_ID)}`);
-  console.log(`Google Sheets API Key configured: ${Boolean(GOOGLE_SHEETS_API_KEY)}`);
+  logger.info('Server running', { port: Number(PORT) });
+  TENANTS.forEach(tenant => {
+    logger.info('School ready', {
+      school: tenant.code,
+      dataSource: tenant.dataSource.name,
+      configured: tenant.dataSource.isConfigured()
+    });
+  });
 });
 
 module.exports = app;
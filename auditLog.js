@@ -0,0 +1,149 @@
+const fs = require('fs');
+const { logger, errorFields } = require('./logger');
+
+// Append-only logs, one JSON object per line so the file can be tailed, grepped or
+// shipped to a log store as it is. Used for the audit trail of teacher edits and
+// for the access log of student data lookups.
+//
+// Lines go out through a write stream so requests don't wait on the disk. Once the
+// file passes maxBytes it is renamed to <file>.1 (older ones shift to .2, .3, ...)
+// and a new file is started; only keepFiles rotated files are kept.
+
+// Bytes read at a time when scanning a file from the end
+const READ_CHUNK_BYTES = 64 * 1024;
+
+// Lines of a file, last line first, read backwards in chunks so finding the newest
+// entries doesn't mean reading the whole file
+async function* linesNewestFirst(filePath) {
+  let handle;
+  try {
+    handle = await fs.promises.open(filePath, 'r');
+  } catch (error) {
+    if (error.code === 'ENOENT') return;
+    throw error;
+  }
+
+  try {
+    let position = (await handle.stat()).size;
+    // Start of a line whose beginning is in a chunk we haven't read yet
+    let carry = Buffer.alloc(0);
+
+    while (position > 0) {
+      const length = Math.min(READ_CHUNK_BYTES, position);
+      position -= length;
+      const chunk = Buffer.alloc(length);
+      await handle.read(chunk, 0, length, position);
+
+      const buffer = Buffer.concat([chunk, carry]);
+      let end = buffer.length;
+      for (let i = buffer.length - 1; i >= 0; i--) {
+        if (buffer[i] !== 0x0a) continue;
+        if (end > i + 1) yield buffer.toString('utf8', i + 1, end);
+        end = i;
+      }
+      carry = buffer.subarray(0, end);
+    }
+    if (carry.length > 0) yield carry.toString('utf8');
+  } finally {
+    await handle.close();
+  }
+}
+
+function createAuditLog(filePath, { maxBytes = 10 * 1024 * 1024, keepFiles = 5 } = {}) {
+  let stream = null;
+  let size = 0;
+  try {
+    size = fs.statSync(filePath).size;
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  // Rotated files, newest first
+  function rotatedFiles() {
+    return Array.from({ length: keepFiles }, (_, i) => `${filePath}.${i + 1}`);
+  }
+
+  function renameIfExists(from, to) {
+    try {
+      fs.renameSync(from, to);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  // Move the current file aside and start a new one. Lines still queued on the old
+  // stream land in the moved file, which is where they belong. Renames are rare
+  // enough to do synchronously, which keeps the next append from racing them.
+  function rotate() {
+    stream.end();
+    stream = null;
+    size = 0;
+
+    const rotated = rotatedFiles();
+    if (rotated.length === 0) {
+      fs.rmSync(filePath, { force: true });
+      return;
+    }
+    fs.rmSync(rotated[rotated.length - 1], { force: true });
+    for (let i = rotated.length - 1; i > 0; i--) {
+      renameIfExists(rotated[i - 1], rotated[i]);
+    }
+    renameIfExists(filePath, rotated[0]);
+  }
+
+  function output() {
+    if (!stream) {
+      stream = fs.createWriteStream(filePath, { flags: 'a' });
+      stream.on('error', error => logger.error('Could not write log file', { filePath, ...errorFields(error) }));
+    }
+    return stream;
+  }
+
+  // Record one entry, stamped with the current time
+  function append(entry) {
+    const line = JSON.stringify({ at: new Date().toISOString(), ...entry }) + '\n';
+    output().write(line);
+    size += Buffer.byteLength(line);
+
+    // A stream that hasn't opened its file yet would open the new one after the rename
+    if (maxBytes > 0 && size >= maxBytes && !stream.pending) {
+      try {
+        rotate();
+      } catch (error) {
+        logger.error('Could not rotate log file', { filePath, ...errorFields(error) });
+      }
+    }
+  }
+
+  // Newest entries first, optionally filtered by student, actor, IP, result or start time.
+  // Reads back from the end of the file (then the rotated files) until it has limit
+  // entries or reaches entries older than since.
+  async function query({ admissionNo, actor, ip, result, since, limit = 100 } = {}) {
+    const sinceTime = since ? new Date(since).getTime() : null;
+    const entries = [];
+    if (limit <= 0) return entries;
+
+    for (const file of [filePath, ...rotatedFiles()]) {
+      for await (const line of linesNewestFirst(file)) {
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          continue;
+        }
+        if (sinceTime && new Date(entry.at).getTime() < sinceTime) return entries;
+        if (admissionNo && entry.admissionNo !== admissionNo) continue;
+        if (actor && (!entry.actor || entry.actor.username !== actor)) continue;
+        if (ip && entry.ip !== ip) continue;
+        if (result && entry.result !== result) continue;
+        entries.push(entry);
+        if (entries.length >= limit) return entries;
+      }
+    }
+    return entries;
+  }
+
+  return { append, query };
+}
+
+module.exports = { createAuditLog };
@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+const { parseSheetDate, toIsoDate } = require('./dates');
+const { logger } = require('./logger');
+
+// Signing secret for access tokens. Without one configured we fall back to a
+// random per-process secret, which means tokens stop working after a restart.
+let tokenSecret = process.env.AUTH_TOKEN_SECRET;
+if (!tokenSecret) {
+  logger.warn('AUTH_TOKEN_SECRET is not set - using a temporary secret, tokens will not survive a restart');
+  tokenSecret = crypto.randomBytes(32).toString('hex');
+}
+
+const TOKEN_TTL = process.env.AUTH_TOKEN_TTL || '2h';
+
+// Lifetime of the keys in links that browsers open on their own (photos, live changes)
+const LINK_KEY_TTL = process.env.LINK_KEY_TTL || '15m';
+
+// Issue a signed, short-lived token for the given subject
+function issueToken(payload, { expiresIn = TOKEN_TTL } = {}) {
+  return jwt.sign(payload, tokenSecret, { expiresIn });
+}
+
+// Verify a token and return its payload, or null if it is invalid or expired
+function verifyToken(token) {
+  try {
+    return jwt.verify(token, tokenSecret);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Pull the bearer token out of the Authorization header
+function getBearerToken(req) {
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+// Normalize a date of birth so 05/03/2010, 5-3-2010 and 5 Mar 2010 all compare equal
+function normalizeDob(value) {
+  if (!value) return '';
+  return toIsoDate(parseSheetDate(value)) || String(value).trim().toLowerCase();
+}
+
+// Compare two secrets without leaking timing information
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  if (bufA.length !== bufB.length) return false;
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
+// Check the second factor a student supplied against their Students sheet row.
+// Students with a PIN must use it; everyone else logs in with their date of birth.
+function checkSecondFactor(studentPin, studentDob, credentials) {
+  if (studentPin) {
+    return Boolean(credentials.pin) && safeEqual(String(credentials.pin).trim(), String(studentPin).trim());
+  }
+  if (studentDob) {
+    return Boolean(credentials.dob) && safeEqual(normalizeDob(credentials.dob), normalizeDob(studentDob));
+  }
+  return false;
+}
+
+// Tokens carry the school they were issued by and only work there
+function issuedHere(payload, req) {
+  return !req.tenant || payload.tenant === req.tenant.code;
+}
+
+// Middleware that requires a valid student token for the admission number being requested.
+// Requests without an admission number are scoped to the token's own student.
+function requireStudentToken(req, res, next) {
+  const token = getBearerToken(req);
+  if (!token) {
+    return res.status(401).json({ error: 'Authentication required', code: 'unauthorized' });
+  }
+
+  const payload = verifyToken(token);
+  if (!payload || payload.role !== 'student') {
+    return res.status(401).json({ error: 'Invalid or expired token', code: 'invalid_token' });
+  }
+  if (!issuedHere(payload, req)) {
+    return res.status(401).json({ error: 'Token was issued by a different school', code: 'invalid_token' });
+  }
+
+  const requested = req.params.admission || req.query.admission;
+  if (requested && requested !== payload.sub) {
+    return res.status(403).json({ error: 'Token is not valid for this admission number', code: 'forbidden' });
+  }
+
+  req.auth = payload;
+  req.admissionNumber = payload.sub;
+  next();
+}
+
+// Key for one kind of link to one student's data, e.g. kind "photo", valid for LINK_KEY_TTL
+function issueLinkKey(kind, admissionNo, tenantCode) {
+  return issueToken({ sub: admissionNo, role: 'link', kind, tenant: tenantCode }, { expiresIn: LINK_KEY_TTL });
+}
+
+// The key's payload if it is unexpired and was issued for this kind of link, student
+// and school, otherwise null
+function verifyLinkKey(key, kind, admissionNo, tenantCode) {
+  const payload = verifyToken(key);
+  const valid = Boolean(payload) && payload.role === 'link' && payload.kind === kind &&
+    payload.sub === admissionNo && payload.tenant === tenantCode;
+  return valid ? payload : null;
+}
+
+const scrypt = promisify(crypto.scrypt);
+
+// Roles that count as staff
+const STAFF_ROLES = ['teacher', 'admin'];
+
+// Hash a staff password as scrypt$<salt>$<hash>. To create one:
+//   node -e "console.log(require('./auth').hashPassword('the-password'))"
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(String(password), salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+// Check a password against a stored scrypt hash. Hashing runs on the thread pool
+// so a burst of logins doesn't hold up every other request.
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const candidate = (await scrypt(String(password), salt, 64)).toString('hex');
+  return safeEqual(candidate, hash);
+}
+
+// Load staff accounts from a JSON file of { username, name, role, passwordHash }.
+// Without a file, staff login is disabled.
+function loadStaffAccounts(filePath) {
+  const accounts = new Map();
+  if (!filePath) return accounts;
+
+  JSON.parse(fs.readFileSync(filePath, 'utf8')).forEach(account => {
+    if (!account.username || !account.passwordHash) {
+      throw new Error(`Staff account ${JSON.stringify(account.username)} in ${filePath} needs a username and passwordHash`);
+    }
+    if (account.role && !STAFF_ROLES.includes(account.role)) {
+      throw new Error(`Staff account ${account.username} has unknown role "${account.role}"`);
+    }
+    accounts.set(account.username.toLowerCase(), { role: 'teacher', ...account });
+  });
+
+  return accounts;
+}
+
+// Middleware that requires a valid staff (teacher or admin) token
+function requireStaffToken(req, res, next) {
+  const token = getBearerToken(req);
+  if (!token) {
+    return res.status(401).json({ error: 'Authentication required', code: 'unauthorized' });
+  }
+
+  const payload = verifyToken(token);
+  if (!payload || !STAFF_ROLES.includes(payload.role)) {
+    return res.status(401).json({ error: 'Invalid or expired staff token', code: 'invalid_token' });
+  }
+  if (!issuedHere(payload, req)) {
+    return res.status(401).json({ error: 'Token was issued by a different school', code: 'invalid_token' });
+  }
+
+  req.auth = payload;
+  next();
+}
+
+// Middleware for routes that students and staff share: a staff token works for any
+// admission number, a student token only for the student's own
+function requireStudentOrStaffToken(req, res, next) {
+  const token = getBearerToken(req);
+  const payload = token && verifyToken(token);
+  if (!payload || !STAFF_ROLES.includes(payload.role)) {
+    return requireStudentToken(req, res, next);
+  }
+
+  requireStaffToken(req, res, () => {
+    req.admissionNumber = req.params.admission || req.query.admission;
+    next();
+  });
+}
+
+module.exports = {
+  safeEqual,
+  issueToken,
+  verifyToken,
+  getBearerToken,
+  checkSecondFactor,
+  requireStudentToken,
+  issueLinkKey,
+  verifyLinkKey,
+  hashPassword,
+  verifyPassword,
+  loadStaffAccounts,
+  requireStaffToken,
+  requireStudentOrStaffToken
+};
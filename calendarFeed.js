@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const { toIsoDate, parseSheetDate } = require('./dates');
+const { logger } = require('./logger');
+
+// iCalendar feeds of assignments, tests, activities and games.
+//
+// Calendar apps can't send an Authorization header, so feeds are addressed by
+// an opaque token: an HMAC of the student's admission number (or class name)
+// with CALENDAR_FEED_SECRET. Rotating the secret revokes every feed URL.
+//
+// Without CALENDAR_FEED_SECRET a key is derived from AUTH_TOKEN_SECRET with HKDF,
+// so the access token secret itself never signs anything outside auth.js.
+
+function loadFeedSecret() {
+  if (process.env.CALENDAR_FEED_SECRET) return process.env.CALENDAR_FEED_SECRET;
+  if (process.env.AUTH_TOKEN_SECRET) {
+    return Buffer.from(crypto.hkdfSync('sha256', process.env.AUTH_TOKEN_SECRET, '', 'calendar-feed', 32));
+  }
+  logger.warn('CALENDAR_FEED_SECRET is not set - using a temporary secret, feed URLs will change after a restart');
+  return crypto.randomBytes(32).toString('hex');
+}
+
+const feedSecret = loadFeedSecret();
+
+const UID_DOMAIN = 'student-portfolio';
+
+// Which sections become events, and how each record is described
+const EVENT_SOURCES = [
+  {
+    section: 'assignments',
+    dateField: 'dueDate',
+    summary: record => `${record.subject} assignment due: ${record.name}`,
+    description: record => [
+      record.assignedDate && `Assigned: ${record.assignedDate}`,
+      record.status && `Status: ${record.status}`,
+      record.remarks && `Remarks: ${record.remarks}`
+    ]
+  },
+  {
+    section: 'tests',
+    dateField: 'date',
+    summary: record => `${record.subject} test: ${record.name}`,
+    description: record => [
+      record.maxMarks > 0 && `Max marks: ${record.maxMarks}`
+    ]
+  },
+  {
+    section: 'subjectActivities',
+    dateField: 'date',
+    summary: record => `${record.subject} activity: ${record.activity}`,
+    description: record => [record.description, record.status && `Status: ${record.status}`]
+  },
+  {
+    section: 'games',
+    dateField: 'date',
+    summary: record => `${record.subject} game: ${record.name}`,
+    description: record => [record.description, record.status && `Status: ${record.status}`]
+  }
+];
+
+// Opaque, stable token for a student's or class's feed
+function feedToken(kind, value) {
+  return crypto.createHmac('sha256', feedSecret).update(`${kind}:${value}`).digest('base64')
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '').slice(0, 32);
+}
+
+// Compare a token from a URL against an expected one in constant time
+function tokenMatches(token, expected) {
+  const a = Buffer.from(String(token));
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Events for one student's data. UIDs come from the school and the column group
+// (e.g. math_test1), so editing a date or name updates the event instead of adding
+// a new one, and two schools' students with the same admission number don't clash.
+function buildStudentEvents(studentData, school) {
+  const admission = studentData.studentInfo.admissionNo;
+  const events = [];
+
+  EVENT_SOURCES.forEach(source => {
+    (studentData[source.section] || []).forEach(record => {
+      const date = parseSheetDate(record[`${source.dateField}Iso`]);
+      if (!date) return;
+
+      events.push({
+        uid: `${school}-${admission}-${record.id}@${UID_DOMAIN}`,
+        date,
+        summary: source.summary(record),
+        description: source.description(record).filter(Boolean).join('\n')
+      });
+    });
+  });
+
+  return events;
+}
+
+// Events for a whole class, one per column group. When students have different
+// dates for the same group, the most common date wins.
+function buildClassEvents(studentsData, className, school) {
+  const classSlug = String(className).replace(/[^A-Za-z0-9]+/g, '-');
+  const groups = new Map();
+
+  EVENT_SOURCES.forEach(source => {
+    studentsData.forEach(studentData => {
+      (studentData[source.section] || []).forEach(record => {
+        const iso = record[`${source.dateField}Iso`];
+        if (!iso) return;
+
+        const key = `${source.section}:${record.id}`;
+        if (!groups.has(key)) groups.set(key, { source, dates: new Map() });
+        const dates = groups.get(key).dates;
+        const entry = dates.get(iso) || { record, students: 0 };
+        entry.students++;
+        dates.set(iso, entry);
+      });
+    });
+  });
+
+  const events = [];
+  groups.forEach(({ source, dates }, key) => {
+    const [iso, entry] = [...dates.entries()].sort((a, b) => b[1].students - a[1].students)[0];
+    const studentCount = [...dates.values()].reduce((sum, e) => sum + e.students, 0);
+    const details = source.description(entry.record).filter(d => d && !/^(Status|Remarks):/.test(d));
+
+    events.push({
+      uid: `${school}-class-${classSlug}-${key.replace(':', '-')}@${UID_DOMAIN}`,
+      date: parseSheetDate(iso),
+      summary: source.summary(entry.record),
+      description: [...details, `Students: ${studentCount}`].join('\n')
+    });
+  });
+
+  return events;
+}
+
+// Escape text values per RFC 5545
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Fold content lines longer than 75 octets
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// yyyymmdd for all-day events
+function formatDate(date) {
+  return toIsoDate(date).replace(/-/g, '');
+}
+
+// UTC timestamp like 20240805T101500Z
+function formatTimestamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Render events as an iCalendar document
+function renderCalendar(name, events) {
+  const stamp = formatTimestamp(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${UID_DOMAIN}//Student Portfolio//EN`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  events.forEach(event => {
+    const end = new Date(event.date.getFullYear(), event.date.getMonth(), event.date.getDate() + 1);
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${formatDate(event.date)}`,
+      `DTEND;VALUE=DATE:${formatDate(end)}`,
+      `SUMMARY:${escapeText(event.summary)}`
+    );
+    if (event.description) {
+      lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+    lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  feedToken,
+  tokenMatches,
+  buildStudentEvents,
+  buildClassEvents,
+  renderCalendar
+};
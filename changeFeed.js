@@ -0,0 +1,214 @@
+const fs = require('fs');
+const { getStudentsValues, getValueByHeader, processStudentData } = require('./studentData');
+const { logger, errorFields } = require('./logger');
+
+// Change feed: what changed in each student's record since they last looked.
+//
+// On a schedule the workbook is fetched again and every student's sections are
+// compared with the snapshot from the previous check. Each difference becomes a
+// numbered change (a new test, an assignment whose status moved, a new discipline
+// entry, another month of attendance) that clients can page through with ?since=
+// or receive live over server-sent events. Only processed student data is
+// compared, so it works the same for Google Sheets and local files.
+//
+// Snapshots and recent changes are kept in a JSON state file so a restart
+// doesn't report every record as new.
+
+// Derived values that move with the calendar rather than the sheet, e.g. days until due
+const TIME_DERIVATIONS = ['daysUntil', 'overdue', 'timing'];
+
+// Field names that change every day without anyone editing the sheet
+function volatileFields(section) {
+  return section.fields
+    .filter(field => field.derive && TIME_DERIVATIONS.some(kind => field.derive[kind] !== undefined))
+    .map(field => field.name);
+}
+
+// Load the state file, starting fresh if it doesn't exist yet
+function loadState(statePath) {
+  try {
+    const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    return {
+      lastId: state.lastId || 0,
+      checkedAt: state.checkedAt || null,
+      snapshots: state.snapshots || {},
+      changes: state.changes || []
+    };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error('Could not read change feed state, starting fresh', { statePath, error: error.message });
+    }
+    return { lastId: 0, checkedAt: null, snapshots: {}, changes: [] };
+  }
+}
+
+function saveState(statePath, state) {
+  fs.writeFileSync(statePath, JSON.stringify(state));
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Field-by-field differences between two versions of a record
+function changedFields(before, after) {
+  const fields = {};
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach(name => {
+    if (!sameValue(before[name], after[name])) {
+      fields[name] = { from: before[name] === undefined ? null : before[name], to: after[name] === undefined ? null : after[name] };
+    }
+  });
+  return fields;
+}
+
+// Differences between two snapshots of one section, as unnumbered changes
+function diffSection(sectionName, before, after) {
+  const changes = [];
+  const describe = (change, recordId, record) => ({
+    section: sectionName,
+    change,
+    recordId,
+    ...(record.subject !== undefined && { subject: record.subject })
+  });
+
+  Object.keys(after).forEach(recordId => {
+    if (!before[recordId]) {
+      changes.push({ ...describe('added', recordId, after[recordId]), record: after[recordId] });
+      return;
+    }
+    const fields = changedFields(before[recordId], after[recordId]);
+    if (Object.keys(fields).length > 0) {
+      changes.push({ ...describe('updated', recordId, after[recordId]), fields, record: after[recordId] });
+    }
+  });
+  Object.keys(before).forEach(recordId => {
+    if (!after[recordId]) changes.push({ ...describe('removed', recordId, before[recordId]), record: before[recordId] });
+  });
+
+  return changes;
+}
+
+function createChangeFeed({ statePath, sections, getWorkbook, historyLimit = 5000 }) {
+  const state = loadState(statePath);
+  const listeners = new Map();
+  const ignored = new Map(sections.map(section => [section.name, volatileFields(section)]));
+  let running = null;
+  let timer = null;
+
+  // One student's sections keyed by record id, without the volatile fields.
+  // Sections whose sheet is missing or empty are left out so they don't look deleted.
+  function snapshot(studentData) {
+    const unavailable = new Set(studentData.warnings.map(warning => warning.section));
+    const sectionsById = {};
+    sections.forEach(section => {
+      if (unavailable.has(section.name)) return;
+      const records = {};
+      (studentData[section.name] || []).forEach(record => {
+        const kept = { ...record };
+        ignored.get(section.name).forEach(name => delete kept[name]);
+        records[record.id] = kept;
+      });
+      sectionsById[section.name] = records;
+    });
+    return sectionsById;
+  }
+
+  // Compare every student with the last snapshot and record what changed
+  async function check() {
+    const workbook = await getWorkbook();
+    const values = getStudentsValues(workbook);
+    const headers = values[0] || [];
+    const checkedAt = new Date().toISOString();
+    const snapshots = {};
+    const fresh = [];
+
+    values.slice(1).forEach(row => {
+      const admissionNo = getValueByHeader(row, headers, 'admission_no');
+      if (!admissionNo || snapshots[admissionNo]) return;
+
+      const current = snapshot(processStudentData(workbook, admissionNo, sections));
+      const previous = state.snapshots[admissionNo];
+      snapshots[admissionNo] = { ...(previous || {}), ...current };
+
+      // The first time we see a student is the baseline, not a list of changes
+      if (!previous) return;
+      Object.keys(current).forEach(sectionName => {
+        if (!previous[sectionName]) return;
+        diffSection(sectionName, previous[sectionName], current[sectionName]).forEach(change => {
+          fresh.push({ id: ++state.lastId, at: checkedAt, admissionNo, ...change });
+        });
+      });
+    });
+
+    state.snapshots = snapshots;
+    state.checkedAt = checkedAt;
+    state.changes = state.changes.concat(fresh).slice(-historyLimit);
+    saveState(statePath, state);
+
+    fresh.forEach(change => {
+      (listeners.get(change.admissionNo) || []).forEach(listener => {
+        try {
+          listener(change);
+        } catch (error) {
+          logger.error('Change feed listener failed', errorFields(error));
+        }
+      });
+    });
+
+    return { checkedAt, students: Object.keys(snapshots).length, changes: fresh.length };
+  }
+
+  // Check, or join a check that is already running
+  function checkOnce() {
+    if (!running) {
+      running = check().finally(() => {
+        running = null;
+      });
+    }
+    return running;
+  }
+
+  // Check now and then on a schedule. The timer doesn't keep the process alive on its own.
+  function start(intervalMinutes) {
+    if (!intervalMinutes || timer) return;
+    const scheduledCheck = () => {
+      checkOnce().catch(error => logger.error('Scheduled change check failed', errorFields(error)));
+    };
+    scheduledCheck();
+    timer = setInterval(scheduledCheck, intervalMinutes * 60 * 1000);
+    timer.unref();
+  }
+
+  // A student's changes, oldest first. since is a change id (as sent in SSE "id:"
+  // lines) or a time; only changes after it are returned.
+  function changes(admissionNo, { since, limit = 100 } = {}) {
+    const afterId = /^\d+$/.test(String(since)) ? Number(since) : null;
+    const sinceTime = afterId === null && since ? new Date(since).getTime() : null;
+
+    return state.changes
+      .filter(change => change.admissionNo === admissionNo)
+      .filter(change => afterId === null || change.id > afterId)
+      .filter(change => sinceTime === null || new Date(change.at).getTime() >= sinceTime)
+      .slice(0, limit);
+  }
+
+  // Call listener with each new change for a student. Returns a function that stops it.
+  function subscribe(admissionNo, listener) {
+    if (!listeners.has(admissionNo)) listeners.set(admissionNo, new Set());
+    listeners.get(admissionNo).add(listener);
+    return () => {
+      const studentListeners = listeners.get(admissionNo);
+      studentListeners.delete(listener);
+      if (studentListeners.size === 0) listeners.delete(admissionNo);
+    };
+  }
+
+  // When the last check ran and the newest change id, for clients to resume from
+  function status() {
+    return { checkedAt: state.checkedAt, lastId: state.lastId };
+  }
+
+  return { check: checkOnce, start, changes, subscribe, status };
+}
+
+module.exports = { createChangeFeed };
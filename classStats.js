@@ -0,0 +1,182 @@
+const {
+  STUDENTS_SHEET,
+  getSheetValues,
+  getValueByHeader,
+  processStudentData
+} = require('./studentData');
+const { attendanceTotals } = require('./dailyAttendance');
+
+// Percentage bands used for the score distributions
+const DISTRIBUTION_BANDS = [
+  { label: '90-100', min: 90 },
+  { label: '75-89', min: 75 },
+  { label: '60-74', min: 60 },
+  { label: '45-59', min: 45 },
+  { label: '33-44', min: 33 },
+  { label: '0-32', min: 0 }
+];
+
+// Discipline statuses that count as closed cases
+const CLOSED_DISCIPLINE_STATUSES = ['resolved', 'closed', 'complete', 'completed'];
+
+// Round to one decimal place
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+// Average of a list of numbers, or null when there are none
+function average(values) {
+  if (values.length === 0) return null;
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+// Median of a list of numbers, or null when there are none
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+}
+
+// Count, average, median, range and banded distribution for a list of percentages
+function describe(values) {
+  const distribution = {};
+  DISTRIBUTION_BANDS.forEach(band => {
+    distribution[band.label] = 0;
+  });
+  values.forEach(value => {
+    const band = DISTRIBUTION_BANDS.find(b => value >= b.min) || DISTRIBUTION_BANDS[DISTRIBUTION_BANDS.length - 1];
+    distribution[band.label]++;
+  });
+
+  return {
+    count: values.length,
+    average: values.length > 0 ? round(average(values)) : null,
+    median: values.length > 0 ? round(median(values)) : null,
+    highest: values.length > 0 ? round(Math.max(...values)) : null,
+    lowest: values.length > 0 ? round(Math.min(...values)) : null,
+    distribution
+  };
+}
+
+// Normalize a class name so "6a", " 6A " and "6A" are the same class
+function normalizeClassName(className) {
+  return String(className || '').trim().toUpperCase();
+}
+
+// Every student row in the Students sheet, with admission number and class
+function listStudents(workbook) {
+  const values = getSheetValues(workbook, STUDENTS_SHEET);
+  const headers = values[0] || [];
+
+  return values.slice(1)
+    .filter(row => row && row.length > 0)
+    .map(row => ({
+      admissionNo: getValueByHeader(row, headers, 'admission_no'),
+      class: getValueByHeader(row, headers, 'class').trim()
+    }))
+    .filter(student => student.admissionNo);
+}
+
+// List the classes in the Students sheet with their student counts
+function listClasses(workbook) {
+  const counts = new Map();
+
+  listStudents(workbook).forEach(student => {
+    if (!student.class) return;
+    const key = normalizeClassName(student.class);
+    const entry = counts.get(key) || { class: student.class, students: 0 };
+    entry.students++;
+    counts.set(key, entry);
+  });
+
+  return [...counts.values()].sort((a, b) =>
+    a.class.localeCompare(b.class, undefined, { numeric: true })
+  );
+}
+
+// Roster entry with summary fields for one processed student
+function rosterEntry(data) {
+  const progressValues = data.subjectProgress.map(s => s.progress);
+  const testValues = (data.tests || []).filter(t => t.scored).map(t => t.percentage);
+  const attendance = data.attendance || [];
+  const discipline = data.discipline || [];
+
+  return {
+    admissionNo: data.studentInfo.admissionNo,
+    name: data.studentInfo.name,
+    rollNo: data.studentInfo.rollNo,
+    averageProgress: progressValues.length > 0 ? round(average(progressValues)) : null,
+    averageTestPercentage: testValues.length > 0 ? round(average(testValues)) : null,
+    attendancePercentage: attendance.length > 0 ? round(attendanceTotals(attendance).percentage || 0) : null,
+    pendingAssignments: data.summary.pendingAssignments,
+    openDisciplineCases: discipline.filter(d => !CLOSED_DISCIPLINE_STATUSES.includes(d.status)).length
+  };
+}
+
+// Build the class-wide roster and aggregate statistics for one class.
+// Returns null when no student belongs to the class.
+function buildClassReport(workbook, className, sections) {
+  const target = normalizeClassName(className);
+  const students = listStudents(workbook).filter(s => normalizeClassName(s.class) === target);
+
+  if (students.length === 0) return null;
+
+  const processed = students.map(s => processStudentData(workbook, s.admissionNo, sections));
+
+  // Collect per-subject progress and test percentages across the class
+  const subjects = new Map();
+  const subjectEntry = name => {
+    if (!subjects.has(name)) subjects.set(name, { progress: [], tests: [] });
+    return subjects.get(name);
+  };
+
+  // Sum working and present days per month across the class
+  const months = new Map();
+
+  processed.forEach(data => {
+    data.subjectProgress.forEach(s => subjectEntry(s.subject).progress.push(s.progress));
+    (data.tests || []).filter(t => t.scored).forEach(t => subjectEntry(t.subject).tests.push(t.percentage));
+
+    (data.attendance || []).forEach(month => {
+      const totals = months.get(month.month) || { workingDays: 0, present: 0 };
+      totals.workingDays += month.workingDays;
+      totals.present += month.present;
+      months.set(month.month, totals);
+    });
+  });
+
+  const roster = processed.map(rosterEntry).sort((a, b) =>
+    String(a.rollNo).localeCompare(String(b.rollNo), undefined, { numeric: true })
+  );
+
+  return {
+    class: students[0].class,
+    totalStudents: students.length,
+    roster,
+    subjects: [...subjects.entries()].map(([subject, values]) => ({
+      subject,
+      progress: describe(values.progress),
+      tests: describe(values.tests)
+    })),
+    attendance: [...months.entries()].map(([month, totals]) => ({
+      month,
+      workingDays: totals.workingDays,
+      present: totals.present,
+      percentage: totals.workingDays > 0 ? round((totals.present / totals.workingDays) * 100) : 0
+    })),
+    pendingAssignments: roster.reduce((sum, s) => sum + s.pendingAssignments, 0),
+    openDisciplineCases: roster.reduce((sum, s) => sum + s.openDisciplineCases, 0)
+  };
+}
+
+module.exports = {
+  listStudents,
+  listClasses,
+  buildClassReport,
+  normalizeClassName,
+  describe,
+  average,
+  median,
+  round
+};
@@ -0,0 +1,195 @@
+const { parseSheetDate, toIsoDate, startOfDay, monthNumber, expandYear } = require('./dates');
+
+// Day-level attendance. Schools that mark the register every day can add a
+// "Daily Attendance" sheet with one row per student and one column per date:
+//
+//   admission_no | 03-06-2024 | 04-06-2024 | 05-06-2024 | ...
+//   12345        | P          | A          | L          | ...
+//
+// Codes are P (present), A (absent), L (late, counts as present) and H (holiday,
+// not a working day). Blank cells and dates after today are left out. Monthly
+// totals are worked out from the days, along with present streaks, absences by
+// day of the week and the list of absence dates. Turn it on with
+// DAILY_ATTENDANCE=true; the tab can be renamed like any other sheet.
+
+const DAILY_ATTENDANCE_SHEET = 'Daily Attendance';
+
+const CODES = { P: 'present', A: 'absent', L: 'late', H: 'holiday' };
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Days present (late included) as a share of working days, or null without working days
+function percentOf(present, workingDays) {
+  return workingDays > 0 ? (present / workingDays) * 100 : null;
+}
+
+// Totals across monthly attendance records, with the percentage weighted by working
+// days so a short month counts for less than a full one. Shared by the summary, class
+// stats and the year-by-year history.
+function attendanceTotals(months) {
+  const workingDays = months.reduce((sum, month) => sum + (month.workingDays || 0), 0);
+  const present = months.reduce((sum, month) => sum + (month.present || 0), 0);
+  return { workingDays, present, absent: workingDays - present, percentage: percentOf(present, workingDays) };
+}
+
+// One monthly record from a month's days, shaped like the rows of the monthly attendance sheet
+function monthRecord(monthIso, days) {
+  const count = status => days.filter(day => day.status === status).length;
+  const late = count('late');
+  const present = count('present') + late;
+  const absent = count('absent');
+  const [year, month] = monthIso.split('-').map(Number);
+
+  return {
+    month: MONTH_NAMES[month - 1],
+    year,
+    monthIso,
+    workingDays: present + absent,
+    present,
+    absent,
+    late,
+    holidays: count('holiday'),
+    percentage: percentOf(present, present + absent) || 0,
+    id: `daily_${monthIso}`
+  };
+}
+
+// Current and longest runs of working days present. Holidays don't break a run.
+function presentStreaks(workingDays) {
+  let current = null;
+  let longest = null;
+
+  workingDays.forEach(day => {
+    if (day.status === 'absent') {
+      current = null;
+      return;
+    }
+    current = current ? { ...current, days: current.days + 1, to: day.date } : { days: 1, from: day.date, to: day.date };
+    if (!longest || current.days > longest.days) longest = current;
+  });
+
+  return {
+    current: current || { days: 0, from: null, to: null },
+    longest: longest || { days: 0, from: null, to: null }
+  };
+}
+
+// Absences on each day of the week, Monday first, for days the school was open
+function absencesByWeekday(workingDays) {
+  const order = [1, 2, 3, 4, 5, 6, 0];
+  return order
+    .map(weekday => {
+      const days = workingDays.filter(day => day.weekday === weekday);
+      const absences = days.filter(day => day.status === 'absent').length;
+      return {
+        day: WEEKDAYS[weekday],
+        workingDays: days.length,
+        absences,
+        absenceRate: days.length > 0 ? (absences / days.length) * 100 : 0
+      };
+    })
+    .filter(entry => entry.workingDays > 0);
+}
+
+// Parse one student's row of the daily sheet. Columns whose header isn't a date
+// (admission_no, name, ...) are skipped. Returns null when the student has no row.
+function parseDailyAttendance(headers, studentRow, today = new Date()) {
+  if (!studentRow || !headers) return null;
+
+  const lastDay = startOfDay(today);
+  const days = [];
+  const unrecognized = [];
+
+  headers.forEach((header, i) => {
+    const date = parseSheetDate(header);
+    if (!date || date > lastDay) return;
+
+    const value = String(studentRow[i] === undefined || studentRow[i] === null ? '' : studentRow[i]).trim();
+    if (!value) return;
+
+    const status = CODES[value.toUpperCase()];
+    if (!status) {
+      unrecognized.push({ date: toIsoDate(date), value });
+      return;
+    }
+    days.push({ date: toIsoDate(date), weekday: date.getDay(), status });
+  });
+
+  days.sort((a, b) => a.date.localeCompare(b.date));
+  const workingDays = days.filter(day => day.status !== 'holiday');
+
+  const byMonth = new Map();
+  days.forEach(day => {
+    const monthIso = day.date.slice(0, 7);
+    if (!byMonth.has(monthIso)) byMonth.set(monthIso, []);
+    byMonth.get(monthIso).push(day);
+  });
+  const months = [...byMonth.entries()].map(([monthIso, monthDays]) => monthRecord(monthIso, monthDays));
+
+  return {
+    months,
+    totals: {
+      ...attendanceTotals(months),
+      late: workingDays.filter(day => day.status === 'late').length,
+      holidays: days.length - workingDays.length
+    },
+    streaks: presentStreaks(workingDays),
+    byWeekday: absencesByWeekday(workingDays),
+    absences: workingDays
+      .filter(day => day.status === 'absent')
+      .map(day => ({ date: day.date, weekday: WEEKDAYS[day.weekday] })),
+    unrecognized
+  };
+}
+
+// Year and month number of a monthly sheet record, or null when the label isn't a
+// month. Labels like "June_2024" carry their year. Plain month names, which the
+// monthly sheet usually has, are taken as the latest such month up to the newest
+// month of the daily sheet.
+function monthlyRecordMonth(record, latest) {
+  const label = String(record.month || '');
+  const month = monthNumber(label);
+  if (isNaN(month)) return null;
+
+  const yearMatch = label.match(/(?:^|[^\d])(\d{4}|\d{2})$/);
+  if (yearMatch) return { year: expandYear(yearMatch[1]), month };
+  return { year: month <= latest.month ? latest.year : latest.year - 1, month };
+}
+
+function monthIsoOf({ year, month }) {
+  return `${year}-${String(month).padStart(2, '0')}`;
+}
+
+// Monthly sheet records for months the daily sheet doesn't cover, followed by the
+// months worked out from the daily sheet. Months match by year and month, so daily
+// entries left over from last year don't hide this year's monthly totals.
+function mergeAttendance(monthly, dailyMonths) {
+  if (dailyMonths.length === 0) return monthly;
+
+  const covered = new Set(dailyMonths.map(month => month.monthIso));
+  const newest = dailyMonths.reduce((a, b) => (a.monthIso > b.monthIso ? a : b));
+  const latest = { year: newest.year, month: Number(newest.monthIso.slice(5, 7)) };
+  const isCovered = record => {
+    const month = monthlyRecordMonth(record, latest);
+    return Boolean(month) && covered.has(monthIsoOf(month));
+  };
+
+  return [...monthly.filter(record => !isCovered(record)), ...dailyMonths];
+}
+
+// ISO month (e.g. "2026-06") of any attendance record, or null when its label isn't
+// a month. Monthly sheet records without a year are the latest such month up to today.
+function attendanceMonthIso(record, today = new Date()) {
+  if (record.monthIso) return record.monthIso;
+  const month = monthlyRecordMonth(record, { year: today.getFullYear(), month: today.getMonth() + 1 });
+  return month ? monthIsoOf(month) : null;
+}
+
+module.exports = {
+  DAILY_ATTENDANCE_SHEET,
+  attendanceTotals,
+  parseDailyAttendance,
+  mergeAttendance,
+  attendanceMonthIso
+};
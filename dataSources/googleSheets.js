@@ -0,0 +1,107 @@
+const axios = require('axios');
+const { quoteSheetName, cellAddress } = require('../sections');
+
+// Data source that reads the workbook from the Google Sheets API. Reads use the
+// API key; writes need a service account (see serviceAccount.js).
+function createGoogleSheetsSource({ spreadsheetId, apiKey, serviceAccount }) {
+  const baseUrl = `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}`;
+
+  // One batchGet call for a list of ranges
+  async function batchGet(ranges) {
+    // Google Sheets API endpoint with multiple ranges
+    const sheetsEndpoint = `${baseUrl}/values:batchGet`;
+    
+    // Build the full URL with query parameters
+    const rangeParams = `ranges=${ranges.map(range => encodeURIComponent(range)).join('&ranges=')}`;
+    
+    // Fetch data from Google Sheets, with the service account when there is no API key
+    if (!apiKey && serviceAccount) {
+      const token = await serviceAccount.getAccessToken();
+      const response = await axios.get(`${sheetsEndpoint}?${rangeParams}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      return response.data;
+    }
+    const response = await axios.get(`${sheetsEndpoint}?key=${apiKey}&${rangeParams}`);
+    return response.data;
+  }
+
+  // The range a 400 "Unable to parse range: 'Tests'!A:ZZZ" complains about, i.e. a tab that doesn't exist
+  function unparsableRange(error, ranges) {
+    const data = error.response && error.response.status === 400 && error.response.data;
+    const match = data && data.error && /Unable to parse range: (.+)$/.exec(data.error.message || '');
+    if (!match) return null;
+    
+    const sheetOf = range => range.replace(/!.*$/, '').replace(/^'|'$/g, '').replace(/''/g, "'");
+    return ranges.find(range => range === match[1]) || ranges.find(range => sheetOf(range) === sheetOf(match[1])) || null;
+  }
+
+  // Fetch every sheet we need in a single batchGet call. One missing tab fails the
+  // whole call, so drop it, try again and report it as { range, missing: true }.
+  async function fetchWorkbook(ranges) {
+    const missing = new Set();
+    
+    while (missing.size < ranges.length) {
+      const present = ranges.filter(range => !missing.has(range));
+      try {
+        const data = await batchGet(present);
+        const byRange = new Map(present.map((range, i) => [range, data.valueRanges[i]]));
+        return {
+          ...data,
+          valueRanges: ranges.map(range => missing.has(range) ? { range, missing: true } : byRange.get(range))
+        };
+      } catch (error) {
+        const range = unparsableRange(error, present);
+        if (!range) throw error;
+        missing.add(range);
+      }
+    }
+    
+    return { valueRanges: ranges.map(range => ({ range, missing: true })) };
+  }
+
+  // Typed text starting with = + - or @ would become a formula; a leading quote keeps
+  // it text, and Sheets drops the quote from the stored value. Plain numbers like -5
+  // are left alone.
+  function enteredValue(value) {
+    const text = String(value);
+    if (!/^[=+\-@\t\r]/.test(text) || /^-?\d+(\.\d+)?$/.test(text)) return value;
+    return `'${text}`;
+  }
+
+  // Write individual cells ({ sheet, row, column, value } with zero-based indexes)
+  // in one values:batchUpdate call. USER_ENTERED lets Sheets parse dates and numbers
+  // the same way it would if a teacher typed them.
+  async function writeCells(updates) {
+    const token = await serviceAccount.getAccessToken();
+    await axios.post(`${baseUrl}/values:batchUpdate`, {
+      valueInputOption: 'USER_ENTERED',
+      data: updates.map(update => ({
+        range: `${quoteSheetName(update.sheet)}!${cellAddress(update.row, update.column)}`,
+        values: [[enteredValue(update.value)]]
+      }))
+    }, { headers: { Authorization: `Bearer ${token}` } });
+  }
+
+  // Cheap live check for the health route: asks only for the spreadsheet ID, so it
+  // reads no cell values and fails fast when the API is slow
+  async function ping({ timeout }) {
+    if (!apiKey && serviceAccount) {
+      const token = await serviceAccount.getAccessToken();
+      await axios.get(`${baseUrl}?fields=spreadsheetId`, { headers: { Authorization: `Bearer ${token}` }, timeout });
+      return;
+    }
+    await axios.get(`${baseUrl}?key=${apiKey}&fields=spreadsheetId`, { timeout });
+  }
+
+  return {
+    name: 'google-sheets',
+    isConfigured: () => Boolean(spreadsheetId && (apiKey || serviceAccount)),
+    canWrite: () => Boolean(spreadsheetId && serviceAccount),
+    ping,
+    fetchWorkbook,
+    writeCells
+  };
+}
+
+module.exports = { createGoogleSheetsSource };
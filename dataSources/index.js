@@ -0,0 +1,31 @@
+const path = require('path');
+const { createGoogleSheetsSource } = require('./googleSheets');
+const { createLocalFileSource } = require('./localFiles');
+const { createServiceAccountAuth } = require('./serviceAccount');
+
+// Pick the data source from env config. DATA_SOURCE=local reads from
+// LOCAL_DATA_PATH; anything else uses Google Sheets. GOOGLE_SERVICE_ACCOUNT_FILE
+// is a service account key that lets the API write back to the spreadsheet.
+function createDataSource(env) {
+  const type = (env.DATA_SOURCE || 'google').toLowerCase();
+
+  if (type === 'local') {
+    return createLocalFileSource({
+      dataPath: path.resolve(env.LOCAL_DATA_PATH || './data')
+    });
+  }
+
+  if (type !== 'google') {
+    throw new Error(`Unknown DATA_SOURCE "${env.DATA_SOURCE}". Use "google" or "local".`);
+  }
+
+  return createGoogleSheetsSource({
+    spreadsheetId: env.GOOGLE_SHEETS_ID,
+    apiKey: env.GOOGLE_SHEETS_API_KEY,
+    serviceAccount: env.GOOGLE_SERVICE_ACCOUNT_FILE
+      ? createServiceAccountAuth(path.resolve(env.GOOGLE_SERVICE_ACCOUNT_FILE))
+      : null
+  });
+}
+
+module.exports = { createDataSource };
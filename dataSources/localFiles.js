@@ -0,0 +1,177 @@
+const fs = require('fs');
+const path = require('path');
+const XLSX = require('xlsx');
+const { cellAddress } = require('../sections');
+
+// Data source that reads the workbook from local files, for offline use,
+// testing, or schools that keep their records in Excel.
+//
+// LOCAL_DATA_PATH can point to:
+//   - a folder with one file per sheet (Students.csv, Subjects.csv, ... or .json)
+//   - a single .xlsx/.xls/.ods workbook with one tab per sheet
+//   - a single .json file mapping sheet names to arrays of rows
+//
+// Teacher write-back edits the same files in place.
+function createLocalFileSource({ dataPath }) {
+  // Get the sheet name out of an A1 range like 'Subjects!A:ZZ'
+  function sheetNameFromRange(range) {
+    return range.split('!')[0].replace(/^'|'$/g, '');
+  }
+
+  // Convert every cell to a string and drop trailing blanks, the way the Sheets API returns them
+  function normalizeRows(rows) {
+    const normalized = rows.map(row => {
+      const cells = (row || []).map(cell => (cell === null || cell === undefined) ? '' : String(cell));
+      while (cells.length > 0 && cells[cells.length - 1] === '') cells.pop();
+      return cells;
+    });
+    while (normalized.length > 0 && normalized[normalized.length - 1].length === 0) normalized.pop();
+    return normalized;
+  }
+
+  // Read every row of a spreadsheet tab as plain strings
+  function rowsFromWorksheet(worksheet) {
+    return XLSX.utils.sheet_to_json(worksheet, { header: 1, raw: false, defval: '' });
+  }
+
+  // Read a single sheet from a folder of per-sheet files
+  function readSheetFromFolder(sheetName) {
+    const csvPath = path.join(dataPath, `${sheetName}.csv`);
+    const jsonPath = path.join(dataPath, `${sheetName}.json`);
+
+    if (fs.existsSync(csvPath)) {
+      // raw keeps CSV cells as typed text instead of guessing dates and numbers
+      const book = XLSX.readFile(csvPath, { raw: true });
+      return rowsFromWorksheet(book.Sheets[book.SheetNames[0]]);
+    }
+    if (fs.existsSync(jsonPath)) {
+      return JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+    }
+    return null;
+  }
+
+  // Read all tabs of a single workbook file into a map of sheet name to rows
+  function readWorkbookFile() {
+    if (path.extname(dataPath).toLowerCase() === '.json') {
+      return JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+    }
+
+    const book = XLSX.readFile(dataPath);
+    const sheets = {};
+    book.SheetNames.forEach(name => {
+      sheets[name] = rowsFromWorksheet(book.Sheets[name]);
+    });
+    return sheets;
+  }
+
+  // Build the same { valueRanges } shape that Sheets batchGet returns
+  async function fetchWorkbook(ranges) {
+    const isFolder = fs.statSync(dataPath).isDirectory();
+    const sheets = isFolder ? null : readWorkbookFile();
+
+    const valueRanges = ranges.map(range => {
+      const sheetName = sheetNameFromRange(range);
+      const rows = isFolder ? readSheetFromFolder(sheetName) : sheets[sheetName];
+
+      // Empty sheets come back without values, like an empty tab in Sheets
+      if (!rows) return { range, missing: true };
+      if (rows.length === 0) return { range };
+      return { range, majorDimension: 'ROWS', values: normalizeRows(rows) };
+    });
+
+    return { valueRanges };
+  }
+
+  // Apply cell updates to a list of rows, padding short rows with blanks
+  function applyUpdates(rows, updates) {
+    updates.forEach(update => {
+      while (rows.length <= update.row) rows.push([]);
+      const row = rows[update.row];
+      while (row.length < update.column) row.push('');
+      row[update.column] = update.value;
+    });
+    return rows;
+  }
+
+  // One CSV field. Fields with quotes, commas or line breaks are quoted, and so is
+  // text starting with a formula character or a space, so it reads back unchanged.
+  function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    const needsQuotes = /[",\r\n]/.test(text) || (/^[=+\-@\s]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text));
+    return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // Rows as CSV text, every row padded to the widest one
+  function toCsv(rows) {
+    const width = Math.max(0, ...rows.map(row => (row || []).length));
+    return rows
+      .map(row => Array.from({ length: width }, (_, i) => csvField((row || [])[i])).join(','))
+      .join('\n');
+  }
+
+  // Write one sheet of a per-sheet folder, keeping its existing format (CSV by default)
+  function writeSheetToFolder(sheetName, updates) {
+    const jsonPath = path.join(dataPath, `${sheetName}.json`);
+    const rows = applyUpdates(readSheetFromFolder(sheetName) || [], updates);
+
+    if (fs.existsSync(jsonPath)) {
+      fs.writeFileSync(jsonPath, JSON.stringify(rows, null, 2));
+    } else {
+      fs.writeFileSync(path.join(dataPath, `${sheetName}.csv`), toCsv(rows) + '\n');
+    }
+  }
+
+  // Write cell updates ({ sheet, row, column, value } with zero-based indexes)
+  async function writeCells(updates) {
+    const bySheet = new Map();
+    updates.forEach(update => {
+      if (!bySheet.has(update.sheet)) bySheet.set(update.sheet, []);
+      bySheet.get(update.sheet).push(update);
+    });
+
+    if (fs.statSync(dataPath).isDirectory()) {
+      bySheet.forEach((sheetUpdates, sheetName) => writeSheetToFolder(sheetName, sheetUpdates));
+      return;
+    }
+
+    if (path.extname(dataPath).toLowerCase() === '.json') {
+      const sheets = readWorkbookFile();
+      bySheet.forEach((sheetUpdates, sheetName) => {
+        sheets[sheetName] = applyUpdates(sheets[sheetName] || [], sheetUpdates);
+      });
+      fs.writeFileSync(dataPath, JSON.stringify(sheets, null, 2));
+      return;
+    }
+
+    // Spreadsheet files are patched cell by cell so formatting and other tabs survive.
+    // Values go in as text cells, so text like "=total" is never taken for a formula.
+    const book = XLSX.readFile(dataPath);
+    bySheet.forEach((sheetUpdates, sheetName) => {
+      if (!book.Sheets[sheetName]) {
+        XLSX.utils.book_append_sheet(book, XLSX.utils.aoa_to_sheet([]), sheetName);
+      }
+      sheetUpdates.forEach(update => {
+        XLSX.utils.sheet_add_aoa(book.Sheets[sheetName], [[{ t: 's', v: String(update.value) }]], {
+          origin: cellAddress(update.row, update.column)
+        });
+      });
+    });
+    XLSX.writeFile(book, dataPath);
+  }
+
+  // Live check for the health route: the folder or file is still there and readable
+  async function ping() {
+    await fs.promises.access(dataPath, fs.constants.R_OK);
+  }
+
+  return {
+    name: 'local',
+    isConfigured: () => Boolean(dataPath) && fs.existsSync(dataPath),
+    canWrite: () => Boolean(dataPath) && fs.existsSync(dataPath),
+    ping,
+    fetchWorkbook,
+    writeCells
+  };
+}
+
+module.exports = { createLocalFileSource };
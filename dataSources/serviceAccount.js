@@ -0,0 +1,47 @@
+const fs = require('fs');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+
+// OAuth access tokens for a Google service account, used for writing to the
+// spreadsheet (API keys are read-only). Share the spreadsheet with the
+// service account's client_email as an editor.
+
+const TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const SHEETS_SCOPE = 'https://www.googleapis.com/auth/spreadsheets';
+
+function createServiceAccountAuth(keyFile) {
+  const key = JSON.parse(fs.readFileSync(keyFile, 'utf8'));
+  if (!key.client_email || !key.private_key) {
+    throw new Error(`Service account key ${keyFile} needs client_email and private_key`);
+  }
+
+  let accessToken = null;
+  let expiresAt = 0;
+
+  // Exchange a signed JWT for an access token, reusing it until shortly before it expires
+  async function getAccessToken() {
+    if (accessToken && Date.now() < expiresAt - 60 * 1000) return accessToken;
+
+    const now = Math.floor(Date.now() / 1000);
+    const assertion = jwt.sign({
+      iss: key.client_email,
+      scope: SHEETS_SCOPE,
+      aud: TOKEN_URL,
+      iat: now,
+      exp: now + 3600
+    }, key.private_key, { algorithm: 'RS256' });
+
+    const response = await axios.post(TOKEN_URL, new URLSearchParams({
+      grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+      assertion
+    }).toString(), { headers: { 'Content-Type': 'application/x-www-form-urlencoded' } });
+
+    accessToken = response.data.access_token;
+    expiresAt = Date.now() + response.data.expires_in * 1000;
+    return accessToken;
+  }
+
+  return { email: key.client_email, getAccessToken };
+}
+
+module.exports = { createServiceAccountAuth };
@@ -0,0 +1,95 @@
+// Date helpers for the date strings teachers type into the sheets.
+//
+// Every date column goes through parseSheetDate, which accepts the formats we
+// see in practice. Numeric dates are read day first (Indian convention), so
+// 05/08/2024 is 5 August.
+//   - 05-08-2024, 5/8/2024, 05.08.2024, 05-08-24
+//   - 2024-08-05, 2024/08/05, 2024-08-05T10:00:00Z
+//   - 5 Aug 2024, 05-Aug-2024, Aug 5, 2024, August 5 2024
+//   - Sheets serial numbers like 45509 (days since 30 Dec 1899)
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Sheets serial day 0 is 30 December 1899
+const SHEETS_EPOCH = Date.UTC(1899, 11, 30);
+
+// Serial numbers outside this range are more likely marks than dates (1954 to 2119)
+const MIN_SERIAL = 20000;
+const MAX_SERIAL = 80000;
+
+// Parse a sheet date into a local Date at midnight, or null if it isn't a date
+function parseSheetDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return isNaN(value) ? null : startOfDay(value);
+  const text = String(value).trim();
+
+  // yyyy-mm-dd, optionally followed by a time
+  let match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T\s].*)?$/);
+  if (match) return buildDate(match[1], match[2], match[3]);
+
+  // dd-mm-yyyy or dd-mm-yy
+  match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})$/);
+  if (match) return buildDate(expandYear(match[3]), match[2], match[1]);
+
+  // 5 Aug 2024, 05-Aug-2024
+  match = text.match(/^(\d{1,2})(?:st|nd|rd|th)?[-/.\s]+([a-z]+)\.?[-/.,\s]+(\d{2}|\d{4})$/i);
+  if (match) return buildDate(expandYear(match[3]), monthNumber(match[2]), match[1]);
+
+  // Aug 5, 2024
+  match = text.match(/^([a-z]+)\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})$/i);
+  if (match) return buildDate(match[3], monthNumber(match[1]), match[2]);
+
+  // Sheets serial number
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    const serial = parseFloat(text);
+    if (serial >= MIN_SERIAL && serial <= MAX_SERIAL) {
+      const utc = new Date(SHEETS_EPOCH + Math.floor(serial) * MS_PER_DAY);
+      return buildDate(utc.getUTCFullYear(), utc.getUTCMonth() + 1, utc.getUTCDate());
+    }
+  }
+
+  return null;
+}
+
+// Two-digit years are taken as 20yy
+function expandYear(year) {
+  return year.length === 2 ? 2000 + Number(year) : Number(year);
+}
+
+// Month number from a name or abbreviation, or NaN
+function monthNumber(name) {
+  const index = MONTHS.indexOf(name.slice(0, 3).toLowerCase());
+  return index === -1 ? NaN : index + 1;
+}
+
+// Build a date and reject impossible ones like 31-02-2024
+function buildDate(year, month, day) {
+  const date = new Date(Number(year), Number(month) - 1, Number(day));
+  if (date.getFullYear() !== Number(year) || date.getMonth() !== Number(month) - 1 || date.getDate() !== Number(day)) {
+    return null;
+  }
+  return date;
+}
+
+// Midnight at the start of a date's day
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+// yyyy-mm-dd for a date, or null
+function toIsoDate(date) {
+  if (!date) return null;
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// Whole days from today until a date (negative once it has passed)
+function daysUntil(date, today = new Date()) {
+  if (!date) return null;
+  return Math.round((startOfDay(date) - startOfDay(today)) / MS_PER_DAY);
+}
+
+module.exports = { parseSheetDate, toIsoDate, daysUntil, startOfDay, monthNumber, expandYear };
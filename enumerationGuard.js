@@ -0,0 +1,73 @@
+const { logger } = require('./logger');
+
+// Spots clients walking through admission numbers. Admission numbers are a
+// dense 5-digit space, so a script can try them one after another; a person
+// checks their own number and maybe a sibling's. An IP that touches too many
+// distinct admission numbers, or gets too many misses (unknown student or wrong
+// credentials), inside the window is blocked for a while.
+//
+// Many students can share one school network address, so keep the distinct
+// admission threshold comfortably above the size of a computer lab.
+
+function createEnumerationGuard({ windowSeconds, maxAdmissions, maxMisses, blockSeconds }) {
+  const windowMs = windowSeconds * 1000;
+  const blockMs = blockSeconds * 1000;
+  const activity = new Map();
+  const blocks = new Map();
+
+  // Seconds left on an IP's block, or 0 when it isn't blocked
+  function blockedFor(ip) {
+    const until = blocks.get(ip);
+    if (!until) return 0;
+    if (until <= Date.now()) {
+      blocks.delete(ip);
+      return 0;
+    }
+    return Math.ceil((until - Date.now()) / 1000);
+  }
+
+  // Record a lookup of an admission number; returns true if it tipped the IP into a block
+  function record(ip, admissionNo, { miss = false } = {}) {
+    const now = Date.now();
+
+    // Forget idle IPs once their window has passed
+    activity.forEach((entry, key) => {
+      if (entry.lastAt + windowMs <= now) activity.delete(key);
+    });
+
+    const entry = activity.get(ip) || { lookups: [], misses: [], lastAt: now };
+    entry.lookups = entry.lookups.filter(lookup => lookup.at + windowMs > now);
+    entry.misses = entry.misses.filter(at => at + windowMs > now);
+    entry.lookups.push({ admissionNo, at: now });
+    if (miss) entry.misses.push(now);
+    entry.lastAt = now;
+    activity.set(ip, entry);
+
+    const distinct = new Set(entry.lookups.map(lookup => lookup.admissionNo)).size;
+    if (distinct > maxAdmissions || entry.misses.length > maxMisses) {
+      blocks.set(ip, now + blockMs);
+      activity.delete(ip);
+      logger.warn('Blocked IP for looking up too many admission numbers', {
+        ip,
+        blockSeconds,
+        admissions: distinct,
+        misses: entry.misses.length,
+        windowSeconds
+      });
+      return true;
+    }
+    return false;
+  }
+
+  // Currently blocked IPs, for admins
+  function blocked() {
+    const now = Date.now();
+    return [...blocks.entries()]
+      .filter(([, until]) => until > now)
+      .map(([ip, until]) => ({ ip, until: new Date(until).toISOString() }));
+  }
+
+  return { blockedFor, record, blocked };
+}
+
+module.exports = { createEnumerationGuard };
@@ -0,0 +1,102 @@
+const { logger, errorFields } = require('./logger');
+
+// Typed errors with stable codes. Every error response has the shape
+// { error, code } plus retryAfter (seconds) when trying again later may help.
+// Codes are part of the API contract (see openapi.json); messages are not.
+
+class ApiError extends Error {
+  constructor(status, code, message, { retryAfter } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.retryAfter = retryAfter;
+  }
+}
+
+class StudentNotFoundError extends ApiError {
+  constructor(admissionNumber) {
+    super(404, 'student_not_found', `Student with admission number ${admissionNumber} not found`);
+    this.name = 'StudentNotFoundError';
+  }
+}
+
+// A sheet we can't do without is missing or empty (the Students sheet, or a section marked "required")
+class SheetMissingError extends ApiError {
+  constructor(sheet) {
+    super(503, 'sheet_missing', `The ${sheet} sheet is missing or empty`, { retryAfter: 300 });
+    this.name = 'SheetMissingError';
+  }
+}
+
+// The spreadsheet service failed or couldn't be reached
+class UpstreamError extends ApiError {
+  constructor(status, code, message, options) {
+    super(status, code, message, options);
+    this.name = 'UpstreamError';
+  }
+}
+
+// Network failures that usually clear up on their own
+const TRANSIENT_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+// Map anything thrown while reading data to an ApiError
+function toApiError(error) {
+  if (error instanceof ApiError) return error;
+
+  // Google Sheets answered with an error
+  if (error.response) {
+    const status = error.response.status;
+    const retryAfter = parseInt(error.response.headers && error.response.headers['retry-after']) || undefined;
+    if (status === 429) {
+      return new UpstreamError(503, 'upstream_quota', 'Google Sheets quota exceeded, try again shortly', { retryAfter: retryAfter || 60 });
+    }
+    if (status === 401 || status === 403 || status === 404) {
+      return new UpstreamError(502, 'upstream_access_denied', 'The spreadsheet could not be opened. Check the spreadsheet ID, API key and sharing settings.');
+    }
+    if (status >= 500) {
+      return new UpstreamError(503, 'upstream_unavailable', 'Google Sheets is unavailable, try again shortly', { retryAfter: retryAfter || 30 });
+    }
+    return new UpstreamError(502, 'upstream_error', `Google Sheets returned an error (HTTP ${status})`, { retryAfter: 30 });
+  }
+
+  // No answer at all
+  if (TRANSIENT_NETWORK_CODES.includes(error.code)) {
+    return new UpstreamError(503, 'upstream_unavailable', 'Could not reach the data source, try again shortly', { retryAfter: 30 });
+  }
+
+  // Local data files that aren't there
+  if (error.code === 'ENOENT') {
+    return new UpstreamError(503, 'upstream_unavailable', 'The local data files could not be read', { retryAfter: 60 });
+  }
+
+  return new ApiError(500, 'internal_error', 'Something went wrong on our side');
+}
+
+// Send an error response, logging anything that isn't the caller's fault.
+// The request ID is included so a user's report can be matched to the logs.
+function sendError(res, error, context) {
+  const apiError = toApiError(error);
+  if (apiError.status >= 500) {
+    (res.req.log || logger).error(`Error ${context}`, { ...errorFields(error), code: apiError.code });
+  }
+
+  if (apiError.retryAfter) {
+    res.set('Retry-After', String(apiError.retryAfter));
+  }
+  res.status(apiError.status).json({
+    error: apiError.message,
+    code: apiError.code,
+    ...(apiError.retryAfter && { retryAfter: apiError.retryAfter }),
+    ...(res.req.id && { requestId: res.req.id })
+  });
+}
+
+module.exports = {
+  ApiError,
+  StudentNotFoundError,
+  SheetMissingError,
+  UpstreamError,
+  toApiError,
+  sendError
+};
@@ -0,0 +1,178 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizeClassName, average, round } = require('./classStats');
+
+// Configurable grading engine.
+//
+// grading.json (or the file in GRADING_CONFIG) defines:
+//   - "scales": named grade scales, each a list of { grade, min } bands
+//   - "defaultScale" and a "classes" map from class name to scale name
+//   - "components": weighted result components such as periodic tests,
+//     half-yearly and annual exams. Tests join a component when their name
+//     matches its "match" regex; an optional "term" groups components into
+//     term results.
+
+const DEFAULT_GRADING_PATH = path.join(__dirname, 'grading.json');
+
+// Load the grading config and sort each scale from the highest band down
+function loadGradingConfig(configPath) {
+  const file = configPath ? path.resolve(configPath) : DEFAULT_GRADING_PATH;
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  const scales = {};
+  Object.entries(config.scales || {}).forEach(([name, bands]) => {
+    if (!Array.isArray(bands) || bands.length === 0) {
+      throw new Error(`Grade scale "${name}" in ${file} must be a non-empty list of bands`);
+    }
+    scales[name] = [...bands].sort((a, b) => b.min - a.min);
+  });
+
+  const defaultScale = config.defaultScale || Object.keys(scales)[0];
+  if (!scales[defaultScale]) {
+    throw new Error(`Default grade scale "${defaultScale}" is not defined in ${file}`);
+  }
+
+  const classes = {};
+  Object.entries(config.classes || {}).forEach(([className, scaleName]) => {
+    if (!scales[scaleName]) {
+      throw new Error(`Class ${className} uses undefined grade scale "${scaleName}" in ${file}`);
+    }
+    classes[normalizeClassName(className)] = scaleName;
+  });
+
+  const components = (config.components || []).map(component => ({
+    ...component,
+    pattern: new RegExp(component.match, 'i')
+  }));
+
+  return { scales, defaultScale, classes, components };
+}
+
+// Grade scale that applies to a class
+function scaleForClass(config, className) {
+  return config.scales[config.classes[normalizeClassName(className)] || config.defaultScale];
+}
+
+// Grade for a percentage on a scale, or '' if nothing matches
+function gradeFor(percentage, scale) {
+  if (typeof percentage !== 'number' || isNaN(percentage)) return '';
+  const band = scale.find(b => percentage >= b.min);
+  return band ? band.grade : '';
+}
+
+// Fill in a missing grade and flag an entered grade that disagrees with the percentage
+function gradeRecord(record, percentage, scale) {
+  const computedGrade = gradeFor(percentage, scale);
+  const entered = String(record.grade || '').trim();
+
+  return {
+    ...record,
+    grade: entered || computedGrade,
+    computedGrade,
+    gradeMismatch: Boolean(entered && computedGrade) && entered.toUpperCase() !== computedGrade.toUpperCase()
+  };
+}
+
+// Weighted result over the components that have at least one test.
+// Weights are rescaled when a component hasn't been held yet.
+function weightedResult(tests, components, scale) {
+  const parts = components.map(component => {
+    const matching = tests.filter(test => component.pattern.test(test.name));
+    return {
+      name: component.name,
+      weight: component.weight,
+      tests: matching.length,
+      percentage: matching.length > 0 ? average(matching.map(t => t.percentage)) : null
+    };
+  });
+
+  const held = parts.filter(part => part.percentage !== null);
+  if (held.length === 0) return null;
+
+  const totalWeight = held.reduce((sum, part) => sum + part.weight, 0);
+  const percentage = held.reduce((sum, part) => sum + part.percentage * part.weight, 0) / totalWeight;
+
+  return {
+    percentage: round(percentage),
+    grade: gradeFor(percentage, scale),
+    partial: held.length < parts.length,
+    components: parts.map(part => ({
+      ...part,
+      percentage: part.percentage === null ? null : round(part.percentage)
+    }))
+  };
+}
+
+// Weighted results per subject, per term and overall
+function computeResults(tests, config, scale) {
+  const gradedTests = tests.filter(test => test.scored);
+  const subjects = [...new Set(gradedTests.map(test => test.subject))];
+
+  const subjectResults = subjects.map(subject => {
+    const result = weightedResult(gradedTests.filter(t => t.subject === subject), config.components, scale);
+    return result ? { subject, ...result } : null;
+  }).filter(Boolean);
+
+  // Term results average the subjects, each weighted over that term's components
+  const terms = [...new Set(config.components.map(c => c.term).filter(Boolean))];
+  const termResults = terms.map(term => {
+    const components = config.components.filter(c => c.term === term);
+    const perSubject = subjects
+      .map(subject => weightedResult(gradedTests.filter(t => t.subject === subject), components, scale))
+      .filter(Boolean);
+    if (perSubject.length === 0) return null;
+
+    const percentage = average(perSubject.map(r => r.percentage));
+    return {
+      term,
+      percentage: round(percentage),
+      grade: gradeFor(percentage, scale),
+      partial: perSubject.some(r => r.partial)
+    };
+  }).filter(Boolean);
+
+  let overall = null;
+  if (subjectResults.length > 0) {
+    const percentage = average(subjectResults.map(r => r.percentage));
+    overall = {
+      percentage: round(percentage),
+      grade: gradeFor(percentage, scale),
+      partial: subjectResults.some(r => r.partial)
+    };
+  }
+
+  return { overall, terms: termResults, subjects: subjectResults };
+}
+
+// Fill in missing grades, flag mismatches and add weighted results to the summary
+function applyGrading(studentData, config) {
+  const scale = scaleForClass(config, studentData.studentInfo.class);
+
+  const subjectProgress = studentData.subjectProgress.map(s => gradeRecord(s, s.progress, scale));
+  const tests = (studentData.tests || []).map(t => gradeRecord(t, t.scored ? t.percentage : null, scale));
+
+  const testsById = new Map(tests.map(t => [t.id, t]));
+  const recentTests = studentData.recentTests.map(test => {
+    const graded = testsById.get(test.id);
+    return graded ? { ...test, grade: graded.grade, computedGrade: graded.computedGrade, gradeMismatch: graded.gradeMismatch } : test;
+  });
+
+  const gradeMismatches = [
+    ...subjectProgress.filter(s => s.gradeMismatch).map(s => ({ subject: s.subject, entered: s.grade, computed: s.computedGrade })),
+    ...tests.filter(t => t.gradeMismatch).map(t => ({ subject: t.subject, test: t.name, entered: t.grade, computed: t.computedGrade }))
+  ];
+
+  return {
+    ...studentData,
+    subjectProgress,
+    recentTests,
+    tests,
+    summary: {
+      ...studentData.summary,
+      results: computeResults(tests, config, scale),
+      gradeMismatches
+    }
+  };
+}
+
+module.exports = { loadGradingConfig, scaleForClass, gradeFor, applyGrading };
@@ -0,0 +1,65 @@
+const { STUDENTS_SHEET, getSheetValues } = require('./studentData');
+const { DAILY_ATTENDANCE_SHEET } = require('./dailyAttendance');
+
+// Health report for one workbook: every sheet we read must exist and have an
+// admission_no header. A problem with the Students sheet or a required section
+// means the school is down; a problem with an optional section only degrades it,
+// since those requests still succeed with a warning.
+
+// Each sheet once, with the sections that read it
+function expectedSheets(sections) {
+  const sheets = new Map([[STUDENTS_SHEET, { sheet: STUDENTS_SHEET, sections: [], required: true }]]);
+  sections.forEach(section => {
+    const entry = sheets.get(section.sheet) || { sheet: section.sheet, sections: [], required: false };
+    entry.sections.push(section.name);
+    entry.required = entry.required || section.required;
+    sheets.set(section.sheet, entry);
+  });
+  return [...sheets.values()];
+}
+
+// Check one sheet; problem is null when it's fine
+function checkSheet(workbook, { sheet, sections, required }, sheetTitle) {
+  const values = getSheetValues(workbook, sheet);
+  const headers = (values[0] || []).map(header => String(header).trim().toLowerCase());
+
+  let problem = null;
+  if ((workbook.missing || []).includes(sheet)) {
+    problem = 'Sheet not found';
+  } else if (values.length === 0) {
+    problem = 'Sheet is empty';
+  } else if (!headers.includes('admission_no')) {
+    problem = 'Header row has no admission_no column';
+  }
+
+  return {
+    sheet,
+    tab: sheetTitle(sheet),
+    sections,
+    required,
+    ok: !problem,
+    students: Math.max(values.length - 1, 0),
+    problem
+  };
+}
+
+// ok, degraded or down, from the sheet checks
+function checkWorkbookSheets(workbook, sections, sheetTitle = sheet => sheet) {
+  const expected = expectedSheets(sections);
+  // The daily attendance sheet is optional and only read when it is turned on
+  if (DAILY_ATTENDANCE_SHEET in workbook.sheets) {
+    expected.push({ sheet: DAILY_ATTENDANCE_SHEET, sections: ['dailyAttendance'], required: false });
+  }
+  const sheets = expected.map(entry => checkSheet(workbook, entry, sheetTitle));
+  const failing = sheets.filter(sheet => !sheet.ok);
+
+  let status = 'ok';
+  if (failing.some(sheet => sheet.required)) {
+    status = 'down';
+  } else if (failing.length > 0) {
+    status = 'degraded';
+  }
+  return { status, sheets };
+}
+
+module.exports = { checkWorkbookSheets };
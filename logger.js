@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+
+// Structured logs: one JSON object per line with time, level, message and any
+// extra fields, so log collectors can index them without parsing free text.
+// LOG_LEVEL (debug, info, warn, error) sets the minimum level written.
+//
+// Requests get a child logger (req.log) that stamps every line with the
+// request ID and school, so everything logged while handling one request can
+// be found together.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+function createLogger(fields = {}, minLevel = LEVELS[process.env.LOG_LEVEL] || LEVELS.info) {
+  function write(level, msg, extra) {
+    if (LEVELS[level] < minLevel) return;
+
+    const line = JSON.stringify({ time: new Date().toISOString(), level, msg, ...fields, ...extra });
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(line + '\n');
+  }
+
+  return {
+    debug: (msg, extra) => write('debug', msg, extra),
+    info: (msg, extra) => write('info', msg, extra),
+    warn: (msg, extra) => write('warn', msg, extra),
+    error: (msg, extra) => write('error', msg, extra),
+    child: more => createLogger({ ...fields, ...more }, minLevel)
+  };
+}
+
+const logger = createLogger();
+
+// Log fields for an error: the message, its code and a short summary of what
+// Google said instead of the whole response body
+function errorFields(error) {
+  const fields = { error: error.message };
+  if (error.code) fields.errorCode = error.code;
+  if (error.response) {
+    fields.upstreamStatus = error.response.status;
+    const body = error.response.data && error.response.data.error;
+    if (body && body.message) fields.upstreamMessage = body.message;
+  }
+  return fields;
+}
+
+// Incoming IDs are only reused when they look like IDs, so they can't inject into logs
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+// Give every request an ID (the caller's X-Request-Id, or a new one), echo it back,
+// and log the request once the response is sent
+function requestLogger(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  req.log = logger.child({ requestId: req.id });
+  res.set('X-Request-Id', req.id);
+
+  const startedAt = process.hrtime.bigint();
+  res.on('finish', () => {
+    const ms = Number(process.hrtime.bigint() - startedAt) / 1e6;
+    const level = res.statusCode >= 500 ? 'error' : 'info';
+    req.log[level]('request', {
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      route: req.route ? req.baseUrl + req.route.path : undefined,
+      status: res.statusCode,
+      ms: Math.round(ms * 10) / 10
+    });
+  });
+  next();
+}
+
+module.exports = { logger, createLogger, errorFields, requestLogger };
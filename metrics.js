@@ -0,0 +1,177 @@
+const { toApiError } = require('./errors');
+
+// Prometheus metrics kept in memory and rendered in the text exposition format
+// at GET /metrics. Counts are per process and start from zero on restart, which
+// Prometheus handles for counters.
+
+// Latency buckets in seconds, from a cached lookup to a slow Sheets call
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Label values may not contain raw backslashes, quotes or newlines
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.keys(labels)
+    .filter(name => labels[name] !== undefined)
+    .map(name => `${name}="${escapeLabel(labels[name])}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function createRegistry() {
+  const metrics = [];
+  const collectors = [];
+
+  // One value per label set, kept by the formatted labels
+  function register(type, name, help) {
+    const metric = { type, name, help, series: new Map() };
+    metrics.push(metric);
+    return metric;
+  }
+
+  function seriesFor(metric, labels, create) {
+    const key = formatLabels(labels);
+    if (!metric.series.has(key)) metric.series.set(key, { labels, ...create() });
+    return metric.series.get(key);
+  }
+
+  // Counters only go up, except when a collector copies a total kept elsewhere
+  function counter(name, help) {
+    const metric = register('counter', name, help);
+    return {
+      inc: (labels = {}, value = 1) => { seriesFor(metric, labels, () => ({ value: 0 })).value += value; },
+      set: (labels = {}, value) => { seriesFor(metric, labels, () => ({ value: 0 })).value = value; }
+    };
+  }
+
+  function gauge(name, help) {
+    const metric = register('gauge', name, help);
+    return {
+      set: (labels = {}, value) => { seriesFor(metric, labels, () => ({ value: 0 })).value = value; }
+    };
+  }
+
+  function histogram(name, help, buckets = DURATION_BUCKETS) {
+    const metric = register('histogram', name, help);
+    metric.buckets = buckets;
+    return {
+      observe: (labels = {}, value) => {
+        const series = seriesFor(metric, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+        buckets.forEach((bound, i) => {
+          if (value <= bound) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+      }
+    };
+  }
+
+  // Run a function before every render, for values read from elsewhere (e.g. cache stats)
+  function collect(fn) {
+    collectors.push(fn);
+  }
+
+  function render() {
+    collectors.forEach(fn => fn());
+
+    const lines = [];
+    metrics.forEach(metric => {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      metric.series.forEach(series => {
+        if (metric.type !== 'histogram') {
+          lines.push(`${metric.name}${formatLabels(series.labels)} ${series.value}`);
+          return;
+        }
+        metric.buckets.forEach((bound, i) => {
+          lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[i]}`);
+        });
+        lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+        lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+        lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.count}`);
+      });
+    });
+    return lines.join('\n') + '\n';
+  }
+
+  return { counter, gauge, histogram, collect, render };
+}
+
+const registry = createRegistry();
+
+const httpRequests = registry.counter('http_requests_total', 'HTTP requests by school, method, route and status');
+const httpDuration = registry.histogram('http_request_duration_seconds', 'HTTP request latency by school, method and route');
+const upstreamDuration = registry.histogram('upstream_request_duration_seconds', 'Data source reads and writes by school, year, source, operation and outcome');
+const upstreamErrors = registry.counter('upstream_errors_total', 'Failed data source calls by school, source and error code');
+const quotaErrors = registry.counter('upstream_quota_errors_total', 'Google Sheets quota (HTTP 429) errors by school');
+const cacheHits = registry.counter('workbook_cache_hits_total', 'Workbook lookups served from the cache');
+const cacheMisses = registry.counter('workbook_cache_misses_total', 'Workbook lookups that had to wait for a fetch');
+const cacheHitRatio = registry.gauge('workbook_cache_hit_ratio', 'Share of workbook lookups served from the cache since start');
+
+// Count every request and its latency once the response is sent. Routes are the
+// Express route patterns (e.g. /api/students/:admission/:section) so the label
+// stays small; requests that match no route are counted as "unmatched".
+function requestMetrics(req, res, next) {
+  const startedAt = process.hrtime.bigint();
+  res.on('finish', () => {
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    const labels = {
+      school: req.tenant ? req.tenant.code : '',
+      method: req.method,
+      route: req.route ? req.baseUrl + req.route.path : 'unmatched'
+    };
+    httpRequests.inc({ ...labels, status: res.statusCode });
+    httpDuration.observe(labels, seconds);
+  });
+  next();
+}
+
+// Wrap a data source so its reads and writes are timed and its failures counted
+function instrumentDataSource(dataSource, { school, year }) {
+  const timed = (operation, fn) => async (...args) => {
+    const startedAt = process.hrtime.bigint();
+    const observe = outcome => upstreamDuration.observe(
+      { school, year, source: dataSource.name, operation, outcome },
+      Number(process.hrtime.bigint() - startedAt) / 1e9
+    );
+    try {
+      const result = await fn(...args);
+      observe('ok');
+      return result;
+    } catch (error) {
+      observe('error');
+      const { code } = toApiError(error);
+      upstreamErrors.inc({ school, source: dataSource.name, code });
+      if (code === 'upstream_quota') quotaErrors.inc({ school });
+      throw error;
+    }
+  };
+
+  return {
+    ...dataSource,
+    fetchWorkbook: timed('read', dataSource.fetchWorkbook),
+    writeCells: timed('write', dataSource.writeCells)
+  };
+}
+
+// Copy the workbook cache counters of every school and year into the registry
+function collectCacheStats(tenants) {
+  registry.collect(() => {
+    tenants.forEach(tenant => tenant.years.list.forEach(year => {
+      const { hits, misses } = year.workbookCache.stats();
+      const labels = { school: tenant.code, year: year.id };
+      cacheHits.set(labels, hits);
+      cacheMisses.set(labels, misses);
+      cacheHitRatio.set(labels, hits + misses > 0 ? hits / (hits + misses) : 0);
+    }));
+  });
+}
+
+module.exports = {
+  registry,
+  createRegistry,
+  requestMetrics,
+  instrumentDataSource,
+  collectCacheStats
+};
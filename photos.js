@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+const sharp = require('sharp');
+
+// Student photos and placeholder avatars.
+//
+// Teachers paste all sorts of links into photo_url, most often Google Drive
+// share links, which point at Drive's viewer page rather than the image. The
+// photo service turns those into direct download links, fetches the image once,
+// crops and resizes it to the size asked for and keeps the result in memory.
+// Students without a photo get an SVG avatar with their initials.
+//
+// photo_url is typed in by whoever edits the sheet, so links that lead to this
+// server's own network (loopback, private, link-local and similar addresses) are
+// refused, including when a public link redirects there.
+
+const MIN_SIZE = 16;
+const MAX_SIZE = 1024;
+
+// How long a link that didn't give us an image is left alone before trying again
+const FAILED_FETCH_SECONDS = 300;
+
+// Addresses photos are never fetched from
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+// Avatar backgrounds, all dark enough for white text
+const AVATAR_COLORS = ['#1e88e5', '#43a047', '#e53935', '#8e24aa', '#f4511e', '#00897b', '#3949ab', '#6d4c41'];
+
+// Parse a width or height, clamped to a sensible range. Returns null when it isn't a number.
+function parseSize(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  if (!/^\d+$/.test(String(value))) return null;
+  return Math.min(Math.max(parseInt(value), MIN_SIZE), MAX_SIZE);
+}
+
+// File ID from a Drive link like .../file/d/<id>/view, .../open?id=<id> or .../uc?id=<id>
+function driveFileId(url) {
+  const match = /^https?:\/\/(?:drive|docs)\.google\.com\/(?:file\/d\/([\w-]+)|(?:open|uc)\?(?:[^#]*&)?id=([\w-]+))/i.exec(url);
+  return match ? match[1] || match[2] : null;
+}
+
+// A link that returns the image itself. Drive share links become direct downloads;
+// anything else is used as it is.
+function directPhotoUrl(url) {
+  const source = String(url || '').trim();
+  const fileId = driveFileId(source);
+  return fileId ? `https://drive.google.com/uc?export=download&id=${fileId}` : source;
+}
+
+// Whether an IP address is one photos may be fetched from. IPv4-mapped IPv6
+// addresses are checked as the IPv4 address they stand for.
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return !BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function blockedHostError(host) {
+  const error = new Error(`Photo link points at a private or internal address (${host})`);
+  error.code = 'EBLOCKEDHOST';
+  return error;
+}
+
+// dns.lookup that fails for hosts resolving to a blocked address. Passed to axios so
+// the address that gets connected to is the one that was checked, on every redirect.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const blocked = addresses.find(entry => !isPublicAddress(entry.address));
+    if (blocked) return callback(blockedHostError(hostname));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Hosts given as IP literals never reach the lookup, so they are checked by hand
+function checkHost(hostname) {
+  const host = String(hostname || '').replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && !isPublicAddress(host)) throw blockedHostError(host);
+}
+
+// One or two letters from a name, e.g. "Asha Rani Sharma" -> "AS"
+function initialsFor(name) {
+  const words = String(name || '').trim().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return '?';
+
+  const first = Array.from(words[0])[0];
+  const last = words.length > 1 ? Array.from(words[words.length - 1])[0] : '';
+  return (first + last).toUpperCase();
+}
+
+function escapeXml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// SVG avatar with the initials on a colour picked from the name, so the same
+// student always gets the same colour
+function renderPlaceholder({ width, height, name, initials }) {
+  const text = initials ? Array.from(String(initials).trim()).slice(0, 2).join('').toUpperCase() : initialsFor(name);
+  const hash = crypto.createHash('md5').update(String(name || initials || '')).digest();
+  const color = AVATAR_COLORS[hash[0] % AVATAR_COLORS.length];
+  const fontSize = Math.round(Math.min(width, height) * 0.4);
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `<rect width="100%" height="100%" fill="${color}"/>`,
+    `<text x="50%" y="50%" dy=".35em" text-anchor="middle" fill="#ffffff" font-family="Helvetica, Arial, sans-serif" font-size="${fontSize}" font-weight="bold">${escapeXml(text || '?')}</text>`,
+    '</svg>'
+  ].join('');
+}
+
+// Fetches, resizes and caches photos. Resized photos are keyed by source link and
+// size, so changing photo_url in the sheet picks up the new photo straight away.
+// The downloaded originals are kept too (up to maxOriginalBytes in total), so
+// asking for another size resizes the copy we have instead of downloading again.
+function createPhotoService({ ttlSeconds = 86400, maxEntries = 500, maxBytes = 5 * 1024 * 1024, maxOriginalBytes = 50 * 1024 * 1024 } = {}) {
+  const cache = new Map();
+  const originals = new Map();
+  let originalBytes = 0;
+
+  // Least recently used entries go first once the cache is full
+  function remember(key, photo, seconds) {
+    cache.delete(key);
+    cache.set(key, { photo, expiresAt: Date.now() + seconds * 1000 });
+    while (cache.size > maxEntries) {
+      cache.delete(cache.keys().next().value);
+    }
+  }
+
+  function forgetOriginal(url) {
+    const entry = originals.get(url);
+    if (!entry) return;
+    originalBytes -= entry.image ? entry.image.length : 0;
+    originals.delete(url);
+  }
+
+  // Same as remember, but the limit is on the total size of the images
+  function rememberOriginal(url, image, seconds) {
+    forgetOriginal(url);
+    originals.set(url, { image, expiresAt: Date.now() + seconds * 1000 });
+    originalBytes += image ? image.length : 0;
+    while (originalBytes > maxOriginalBytes && originals.size > 1) {
+      forgetOriginal(originals.keys().next().value);
+    }
+  }
+
+  async function fetchImage(url) {
+    checkHost(new URL(url).hostname);
+    const response = await axios.get(url, {
+      responseType: 'arraybuffer',
+      timeout: 8000,
+      maxRedirects: 5,
+      maxContentLength: maxBytes,
+      lookup: publicLookup,
+      beforeRedirect: options => checkHost(options.hostname)
+    });
+
+    // Drive answers with an HTML page for files that aren't shared publicly
+    const contentType = String(response.headers['content-type'] || '');
+    if (!contentType.startsWith('image/')) {
+      throw new Error(`Expected an image but got ${contentType || 'no content type'}`);
+    }
+    return Buffer.from(response.data);
+  }
+
+  // The downloaded image for a link, from the cache when we have it
+  async function original(url) {
+    const cached = originals.get(url);
+    if (cached && cached.expiresAt > Date.now()) {
+      rememberOriginal(url, cached.image, (cached.expiresAt - Date.now()) / 1000);
+      if (!cached.image) throw new Error('Photo link recently failed to give an image');
+      return cached.image;
+    }
+
+    try {
+      const image = await fetchImage(url);
+      rememberOriginal(url, image, ttlSeconds);
+      return image;
+    } catch (error) {
+      rememberOriginal(url, null, FAILED_FETCH_SECONDS);
+      throw error;
+    }
+  }
+
+  // The photo as a JPEG cropped to width x height, or null if the link doesn't give us an image
+  async function get(sourceUrl, { width, height }) {
+    const url = directPhotoUrl(sourceUrl);
+    if (!/^https?:\/\//i.test(url)) return null;
+
+    const key = `${url} ${width}x${height}`;
+    const cached = cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      remember(key, cached.photo, (cached.expiresAt - Date.now()) / 1000);
+      return cached.photo;
+    }
+
+    try {
+      const body = await sharp(await original(url))
+        .rotate()
+        .resize(width, height, { fit: 'cover', position: 'attention' })
+        .jpeg({ quality: 85 })
+        .toBuffer();
+      const photo = { body, contentType: 'image/jpeg' };
+      remember(key, photo, ttlSeconds);
+      return photo;
+    } catch (error) {
+      remember(key, null, FAILED_FETCH_SECONDS);
+      throw error;
+    }
+  }
+
+  return { get, ttlSeconds };
+}
+
+module.exports = {
+  parseSize,
+  directPhotoUrl,
+  initialsFor,
+  renderPlaceholder,
+  createPhotoService
+};
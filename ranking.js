@@ -0,0 +1,135 @@
+const { parseSection, markScored } = require('./sections');
+const { getSheetValues, findStudentByAdmissionNo } = require('./studentData');
+const { listStudents, normalizeClassName, average, round } = require('./classStats');
+
+// Rank bands shown instead of exact ranks when RANK_DISPLAY=bands
+const RANK_BANDS = [
+  { label: 'top 10%', upTo: 10 },
+  { label: 'top 25%', upTo: 25 },
+  { label: 'top 50%', upTo: 50 },
+  { label: 'bottom 50%', upTo: 100 }
+];
+
+// Where one score stands among a list of classmate scores
+function standingFor(score, classScores, exactRank) {
+  const higher = classScores.filter(s => s > score).length;
+  const equal = classScores.filter(s => s === score).length;
+  const rank = higher + 1;
+  const outOf = classScores.length;
+
+  const standing = {
+    classAverage: round(average(classScores)),
+    classHighest: round(Math.max(...classScores))
+  };
+
+  if (exactRank) {
+    standing.rank = rank;
+    standing.outOf = outOf;
+    // Share of the class scoring below, counting ties as half
+    standing.percentile = round(((outOf - higher - equal) + equal / 2) / outOf * 100);
+  } else {
+    const topShare = (rank / outOf) * 100;
+    standing.band = RANK_BANDS.find(band => topShare <= band.upTo).label;
+  }
+
+  return standing;
+}
+
+// Compute the student's class standing for every test, every subject and overall.
+// Scores are test percentages compared against students in the same class who
+// sat the same <subject>_test<n> column. Tests without marks are left out.
+function computeClassStanding(workbook, studentData, sections, { exactRank = true } = {}) {
+  const testsSection = sections.find(section => section.name === 'tests');
+  if (!testsSection) return null;
+
+  const target = normalizeClassName(studentData.studentInfo.class);
+  const classmates = listStudents(workbook).filter(s => normalizeClassName(s.class) === target);
+
+  const values = getSheetValues(workbook, testsSection.sheet);
+  const headers = values[0] || [];
+
+  // Scores per test column, per subject and overall, keyed by admission number
+  const byTest = new Map();
+  const bySubject = new Map();
+  const overall = new Map();
+
+  classmates.forEach(classmate => {
+    const row = findStudentByAdmissionNo(values, headers, classmate.admissionNo);
+    const tests = markScored(testsSection, headers, row, parseSection(testsSection, headers, row))
+      .filter(t => t.scored);
+    if (tests.length === 0) return;
+
+    tests.forEach(test => {
+      if (!byTest.has(test.id)) byTest.set(test.id, new Map());
+      byTest.get(test.id).set(classmate.admissionNo, test.percentage);
+    });
+
+    const subjects = new Map();
+    tests.forEach(test => {
+      if (!subjects.has(test.subject)) subjects.set(test.subject, []);
+      subjects.get(test.subject).push(test.percentage);
+    });
+    subjects.forEach((scores, subject) => {
+      if (!bySubject.has(subject)) bySubject.set(subject, new Map());
+      bySubject.get(subject).set(classmate.admissionNo, average(scores));
+    });
+
+    overall.set(classmate.admissionNo, average(tests.map(t => t.percentage)));
+  });
+
+  const admissionNo = studentData.studentInfo.admissionNo;
+  const standingIn = scores => {
+    if (!scores || !scores.has(admissionNo)) return null;
+    return standingFor(scores.get(admissionNo), [...scores.values()], exactRank);
+  };
+
+  const tests = {};
+  byTest.forEach((scores, id) => {
+    const standing = standingIn(scores);
+    if (standing) tests[id] = standing;
+  });
+
+  const subjects = [];
+  bySubject.forEach((scores, subject) => {
+    const standing = standingIn(scores);
+    if (standing) {
+      subjects.push({ subject, average: round(scores.get(admissionNo)), ...standing });
+    }
+  });
+
+  const overallStanding = standingIn(overall);
+
+  return {
+    tests,
+    subjects,
+    overall: overallStanding ? { average: round(overall.get(admissionNo)), ...overallStanding } : null
+  };
+}
+
+// Attach class standing to each test, recent test and the summary
+function addClassStanding(studentData, workbook, sections, options) {
+  const standing = computeClassStanding(workbook, studentData, sections, options);
+  if (!standing) return studentData;
+
+  const tests = (studentData.tests || []).map(test => ({
+    ...test,
+    classStanding: standing.tests[test.id] || null
+  }));
+
+  const recentTests = studentData.recentTests.map(test => ({
+    ...test,
+    classStanding: standing.tests[test.id] || null
+  }));
+
+  return {
+    ...studentData,
+    recentTests,
+    tests,
+    classStanding: {
+      subjects: standing.subjects,
+      overall: standing.overall
+    }
+  };
+}
+
+module.exports = { computeClassStanding, addClassStanding };
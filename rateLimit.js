@@ -0,0 +1,81 @@
+// Fixed-window request limits kept in memory. Each school gets its own limiter,
+// so a busy school can't use up another school's allowance.
+
+function createRateLimiter({ windowSeconds, max }) {
+  const windowMs = windowSeconds * 1000;
+  const counters = new Map();
+  let sweepAt = Date.now() + windowMs;
+
+  // Count a request for a key; returns how many are left and when the window resets
+  function hit(key) {
+    const now = Date.now();
+
+    // Drop finished windows now and then so the map doesn't grow forever
+    if (now >= sweepAt) {
+      counters.forEach((counter, k) => {
+        if (counter.resetAt <= now) counters.delete(k);
+      });
+      sweepAt = now + windowMs;
+    }
+
+    let counter = counters.get(key);
+    if (!counter || counter.resetAt <= now) {
+      counter = { count: 0, resetAt: now + windowMs };
+      counters.set(key, counter);
+    }
+    counter.count++;
+
+    return { allowed: counter.count <= max, remaining: Math.max(max - counter.count, 0), resetAt: counter.resetAt };
+  }
+
+  // Express middleware limiting requests per key, e.g. per IP or per token.
+  // A max of 0 turns limiting off; requests without a key aren't limited.
+  function limitBy(keyFor) {
+    return (req, res, next) => {
+      const key = keyFor(req);
+      if (!max || !key) return next();
+
+      const { allowed, remaining, resetAt } = hit(key);
+      const resetSeconds = Math.ceil((resetAt - Date.now()) / 1000);
+      res.set('RateLimit-Limit', String(max));
+      res.set('RateLimit-Remaining', String(remaining));
+      res.set('RateLimit-Reset', String(resetSeconds));
+
+      if (!allowed) {
+        res.set('Retry-After', String(resetSeconds));
+        return res.status(429).json({ error: 'Too many requests. Please try again later.', code: 'rate_limited', retryAfter: resetSeconds });
+      }
+      next();
+    };
+  }
+
+  return { hit, limitBy, middleware: limitBy(req => req.ip) };
+}
+
+// Cap on connections held open at the same time per key, for long-lived responses
+// like event streams that a request-per-window limit doesn't catch. A connection
+// counts until its response closes. A max of 0 turns the cap off.
+function createConnectionLimiter({ max, keyFor }) {
+  const open = new Map();
+
+  return (req, res, next) => {
+    const key = keyFor(req);
+    if (!max || !key) return next();
+
+    const count = open.get(key) || 0;
+    if (count >= max) {
+      res.set('Retry-After', '30');
+      return res.status(429).json({ error: 'Too many open connections. Close one and try again.', code: 'rate_limited', retryAfter: 30 });
+    }
+
+    open.set(key, count + 1);
+    res.on('close', () => {
+      const left = open.get(key) - 1;
+      if (left > 0) open.set(key, left);
+      else open.delete(key);
+    });
+    next();
+  };
+}
+
+module.exports = { createRateLimiter, createConnectionLimiter };
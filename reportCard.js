@@ -0,0 +1,284 @@
+const fs = require('fs');
+const axios = require('axios');
+const PDFDocument = require('pdfkit');
+const archiver = require('archiver');
+const { logger } = require('./logger');
+const { DONE_STATUSES } = require('./sections');
+
+// Printable report cards built from the same object the student-data route returns
+
+const PAGE_MARGIN = 40;
+const ROW_HEIGHT = 18;
+
+// Size the student photo is fetched at; it is drawn at 90pt, so this stays sharp in print
+const PHOTO_SIZE = 240;
+const MAX_LOGO_BYTES = 2 * 1024 * 1024;
+
+// Cache of loaded logo images so the class batch doesn't fetch the logo per student
+const logoCache = new Map();
+
+// Load the school logo from a URL or a file path. The logo comes from the school's
+// configuration, never from the sheet, so a local file is fine here. Returns null when
+// it can't be loaded, so a missing logo never stops the report card from rendering.
+async function loadLogo(source) {
+  if (!source) return null;
+  if (logoCache.has(source)) return logoCache.get(source);
+
+  let image = null;
+  try {
+    if (/^https?:\/\//i.test(source)) {
+      const response = await axios.get(source, { responseType: 'arraybuffer', timeout: 5000, maxContentLength: MAX_LOGO_BYTES });
+      image = Buffer.from(response.data);
+    } else if (fs.existsSync(source)) {
+      image = fs.readFileSync(source);
+    }
+  } catch (error) {
+    logger.warn('Could not load school logo', { source, error: error.message });
+  }
+
+  logoCache.set(source, image);
+  return image;
+}
+
+// The student's photo through the photo service, which only fetches from public
+// hosts and caps the download size. photo_url is typed into the sheet, so it is
+// never read as a local path.
+async function loadPhoto(photos, photoUrl) {
+  try {
+    const photo = await photos.get(photoUrl, { width: PHOTO_SIZE, height: PHOTO_SIZE });
+    return photo ? photo.body : null;
+  } catch (error) {
+    logger.warn('Could not load student photo', { photoUrl, error: error.message });
+    return null;
+  }
+}
+
+// Draw an image, ignoring formats PDFKit can't embed
+function drawImage(doc, image, x, y, options) {
+  if (!image) return false;
+  try {
+    doc.image(image, x, y, options);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Section heading with a rule underneath
+function drawHeading(doc, text) {
+  ensureSpace(doc, ROW_HEIGHT * 3);
+  doc.moveDown(0.8);
+  doc.font('Helvetica-Bold').fontSize(12).fillColor('#1f3a5f').text(text, PAGE_MARGIN);
+  const y = doc.y + 2;
+  doc.moveTo(PAGE_MARGIN, y).lineTo(doc.page.width - PAGE_MARGIN, y).strokeColor('#1f3a5f').lineWidth(0.5).stroke();
+  doc.moveDown(0.4);
+  doc.fillColor('black');
+}
+
+// Start a new page if there isn't room for the next block
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - PAGE_MARGIN) {
+    doc.addPage();
+  }
+}
+
+// Simple table: columns are { header, key, width } with widths as fractions of the page
+function drawTable(doc, columns, rows) {
+  const tableWidth = doc.page.width - PAGE_MARGIN * 2;
+
+  const drawRow = (cells, bold) => {
+    ensureSpace(doc, ROW_HEIGHT);
+    const y = doc.y;
+    let x = PAGE_MARGIN;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    columns.forEach((column, i) => {
+      const width = column.width * tableWidth;
+      doc.text(String(cells[i] === undefined || cells[i] === null ? '' : cells[i]), x + 2, y + 4, {
+        width: width - 4,
+        height: ROW_HEIGHT - 4,
+        ellipsis: true,
+        lineBreak: false
+      });
+      x += width;
+    });
+    doc.moveTo(PAGE_MARGIN, y + ROW_HEIGHT).lineTo(PAGE_MARGIN + tableWidth, y + ROW_HEIGHT)
+      .strokeColor('#cccccc').lineWidth(0.5).stroke();
+    doc.x = PAGE_MARGIN;
+    doc.y = y + ROW_HEIGHT;
+  };
+
+  if (rows.length === 0) {
+    doc.font('Helvetica-Oblique').fontSize(9).text('No records', PAGE_MARGIN);
+    return;
+  }
+
+  drawRow(columns.map(c => c.header), true);
+  rows.forEach(row => drawRow(columns.map(c => (typeof c.key === 'function' ? c.key(row) : row[c.key]))));
+}
+
+// Format a number to one decimal place for display
+function formatPercent(value) {
+  return typeof value === 'number' ? `${value.toFixed(1)}%` : '';
+}
+
+// Render one student's report card into a PDFKit document
+function renderReportCard(doc, data, branding, images) {
+  const info = data.studentInfo;
+  const pageWidth = doc.page.width;
+
+  // School header
+  const logoDrawn = drawImage(doc, images.logo, PAGE_MARGIN, PAGE_MARGIN, { fit: [60, 60] });
+  const headerX = logoDrawn ? PAGE_MARGIN + 70 : PAGE_MARGIN;
+  doc.font('Helvetica-Bold').fontSize(18).text(branding.schoolName, headerX, PAGE_MARGIN + 5, {
+    width: pageWidth - headerX - PAGE_MARGIN
+  });
+  if (branding.schoolAddress) {
+    doc.font('Helvetica').fontSize(10).text(branding.schoolAddress, headerX);
+  }
+  doc.font('Helvetica').fontSize(11).fillColor('#555555').text('Student Report Card', headerX);
+  doc.fillColor('black');
+  doc.y = Math.max(doc.y, PAGE_MARGIN + 70);
+
+  // Student info with photo on the right
+  drawHeading(doc, 'Student Information');
+  const infoTop = doc.y;
+  drawImage(doc, images.photo, pageWidth - PAGE_MARGIN - 90, infoTop, { fit: [90, 90] });
+  doc.font('Helvetica').fontSize(10);
+  [
+    ['Name', info.name],
+    ['Class', info.class],
+    ['Admission No', info.admissionNo],
+    ['Roll No', info.rollNo],
+    ['Date of Birth', info.dob]
+  ].forEach(([label, value]) => {
+    doc.font('Helvetica-Bold').text(`${label}: `, PAGE_MARGIN, doc.y, { continued: true });
+    doc.font('Helvetica').text(value || '-');
+  });
+  doc.y = Math.max(doc.y, infoTop + (images.photo ? 95 : 0));
+
+  // Subject progress
+  drawHeading(doc, 'Subject Progress');
+  drawTable(doc, [
+    { header: 'Subject', key: 'subject', width: 0.5 },
+    { header: 'Progress', key: row => formatPercent(row.progress), width: 0.25 },
+    { header: 'Grade', key: 'grade', width: 0.25 }
+  ], data.subjectProgress || []);
+
+  // Tests
+  drawHeading(doc, 'Tests');
+  drawTable(doc, [
+    { header: 'Subject', key: 'subject', width: 0.2 },
+    { header: 'Test', key: 'name', width: 0.25 },
+    { header: 'Date', key: 'date', width: 0.15 },
+    { header: 'Marks', key: row => `${row.marksObtained}/${row.maxMarks}`, width: 0.14 },
+    { header: '%', key: row => formatPercent(row.percentage), width: 0.14 },
+    { header: 'Grade', key: 'grade', width: 0.12 }
+  ], data.tests || []);
+
+  const results = data.summary.results;
+  if (results && results.overall) {
+    doc.moveDown(0.4);
+    doc.font('Helvetica-Bold').fontSize(10).text(
+      `Overall result: ${formatPercent(results.overall.percentage)} (${results.overall.grade})${results.overall.partial ? ' - provisional' : ''}`,
+      PAGE_MARGIN
+    );
+  }
+
+  // Attendance by month
+  drawHeading(doc, 'Attendance');
+  drawTable(doc, [
+    { header: 'Month', key: 'month', width: 0.28 },
+    { header: 'Working Days', key: 'workingDays', width: 0.18 },
+    { header: 'Present', key: 'present', width: 0.18 },
+    { header: 'Absent', key: 'absent', width: 0.18 },
+    { header: '%', key: row => formatPercent(row.percentage), width: 0.18 }
+  ], data.attendance || []);
+  doc.moveDown(0.4);
+  doc.font('Helvetica-Bold').fontSize(10).text(`Overall attendance: ${data.summary.attendancePercentage}`, PAGE_MARGIN);
+
+  // Assignment summary
+  const assignments = data.assignments || [];
+  drawHeading(doc, 'Assignments');
+  doc.font('Helvetica').fontSize(10).text(
+    `Total: ${assignments.length}   Completed: ${data.summary.completedAssignments}   Pending: ${data.summary.pendingAssignments}`,
+    PAGE_MARGIN
+  );
+  const pending = assignments.filter(a => !DONE_STATUSES.includes(a.status));
+  if (pending.length > 0) {
+    doc.moveDown(0.4);
+    drawTable(doc, [
+      { header: 'Subject', key: 'subject', width: 0.25 },
+      { header: 'Pending Assignment', key: 'name', width: 0.5 },
+      { header: 'Due Date', key: 'dueDate', width: 0.25 }
+    ], pending);
+  }
+
+  // Discipline summary
+  const discipline = data.discipline || [];
+  drawHeading(doc, 'Discipline');
+  if (discipline.length === 0) {
+    doc.font('Helvetica').fontSize(10).text('No discipline records.', PAGE_MARGIN);
+  } else {
+    drawTable(doc, [
+      { header: 'Date', key: 'date', width: 0.15 },
+      { header: 'Type', key: 'type', width: 0.15 },
+      { header: 'Description', key: 'description', width: 0.45 },
+      { header: 'Status', key: 'status', width: 0.15 },
+      { header: 'Points', key: 'points', width: 0.1 }
+    ], discipline);
+  }
+
+  // Signature lines
+  ensureSpace(doc, 80);
+  doc.moveDown(3);
+  const signY = doc.y;
+  doc.font('Helvetica').fontSize(9);
+  doc.text('Class Teacher', PAGE_MARGIN, signY);
+  doc.text('Principal', pageWidth / 2 - 30, signY);
+  doc.text('Parent', pageWidth - PAGE_MARGIN - 60, signY);
+}
+
+// Render a report card to a PDF buffer
+async function createReportCardPdf(studentData, branding, photos) {
+  const [logo, photo] = await Promise.all([
+    loadLogo(branding.logo),
+    loadPhoto(photos, studentData.studentInfo.photoUrl)
+  ]);
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    renderReportCard(doc, studentData, branding, { logo, photo });
+    doc.end();
+  });
+}
+
+// File name for a student's report card, safe for zip entries and downloads
+function reportCardFileName(studentInfo) {
+  const name = String(studentInfo.name || '').replace(/[^A-Za-z0-9]+/g, '_').replace(/^_|_$/g, '');
+  return `${[studentInfo.rollNo, studentInfo.admissionNo, name].filter(Boolean).join('-')}.pdf`;
+}
+
+// Stream a zip of report cards, one PDF per student, into a writable stream
+async function writeReportCardZip(output, studentsData, branding, photos) {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const done = new Promise((resolve, reject) => {
+    archive.on('error', reject);
+    output.on('close', resolve);
+    output.on('finish', resolve);
+  });
+
+  archive.pipe(output);
+  for (const studentData of studentsData) {
+    const pdf = await createReportCardPdf(studentData, branding, photos);
+    archive.append(pdf, { name: reportCardFileName(studentData.studentInfo) });
+  }
+  await archive.finalize();
+  return done;
+}
+
+module.exports = { createReportCardPdf, writeReportCardZip, reportCardFileName };
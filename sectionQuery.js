@@ -0,0 +1,142 @@
+const { parseSheetDate } = require('./dates');
+
+// Filtering, sorting, pagination and field projection for the per-section routes
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// Short URL names for sections whose response keys are longer
+const SECTION_ALIASES = {
+  subjects: 'subjectProgress',
+  activities: 'subjectActivities'
+};
+
+// Date field used for from/to filters and date sorting, in order of preference
+const DATE_FIELDS = ['date', 'dueDate', 'assignedDate'];
+
+// Resolve a URL section name to the key in the student data, or null if unknown
+function resolveSectionName(name, sections) {
+  const key = SECTION_ALIASES[name] || name;
+  return sections.some(section => section.name === key) ? key : null;
+}
+
+// Subject names compare without case, spaces or underscores, so ?subject=social_science
+// matches "Social Science"
+function subjectKey(subject) {
+  return String(subject || '').trim().toLowerCase().replace(/[\s_-]+/g, '_');
+}
+
+// The date a record is filtered and sorted by
+function recordDate(record) {
+  const field = DATE_FIELDS.find(f => record[f]);
+  return field ? parseSheetDate(record[field]) : null;
+}
+
+// Validate the query string. Returns { options } or { error }.
+function parseSectionQuery(query) {
+  const options = {
+    subject: query.subject ? subjectKey(query.subject) : null,
+    status: query.status ? String(query.status).toLowerCase().split(',') : null,
+    from: null,
+    to: null,
+    sort: [],
+    limit: DEFAULT_LIMIT,
+    offset: 0,
+    fields: null
+  };
+
+  if (query.from) {
+    options.from = parseSheetDate(query.from);
+    if (!options.from) return { error: 'Invalid "from" date. Use dd-mm-yyyy or yyyy-mm-dd.' };
+  }
+  if (query.to) {
+    options.to = parseSheetDate(query.to);
+    if (!options.to) return { error: 'Invalid "to" date. Use dd-mm-yyyy or yyyy-mm-dd.' };
+  }
+
+  if (query.limit !== undefined) {
+    options.limit = parseInt(query.limit);
+    if (isNaN(options.limit) || options.limit < 1 || options.limit > MAX_LIMIT) {
+      return { error: `Invalid "limit". Must be between 1 and ${MAX_LIMIT}.` };
+    }
+  }
+  if (query.offset !== undefined) {
+    options.offset = parseInt(query.offset);
+    if (isNaN(options.offset) || options.offset < 0) {
+      return { error: 'Invalid "offset". Must be 0 or more.' };
+    }
+  }
+
+  // sort=-date,subject sorts by date descending, then subject ascending
+  if (query.sort) {
+    options.sort = String(query.sort).split(',').filter(Boolean).map(key => ({
+      field: key.replace(/^[-+]/, ''),
+      descending: key.startsWith('-')
+    }));
+  }
+
+  if (query.fields) {
+    options.fields = String(query.fields).split(',').map(f => f.trim()).filter(Boolean);
+  }
+
+  return { options };
+}
+
+// Compare two records on one sort key. Dates compare as dates, numbers as numbers.
+function compareBy(a, b, { field, descending }) {
+  const direction = descending ? -1 : 1;
+  if (field === 'date') {
+    const dateA = recordDate(a);
+    const dateB = recordDate(b);
+    // Records without a date sort last whichever way the dates go
+    if (!dateA || !dateB) return (dateA ? -1 : 0) + (dateB ? 1 : 0);
+    return (dateA - dateB) * direction;
+  }
+
+  const valueA = a[field];
+  const valueB = b[field];
+  if (typeof valueA === 'number' && typeof valueB === 'number') return (valueA - valueB) * direction;
+  return String(valueA === undefined ? '' : valueA).localeCompare(String(valueB === undefined ? '' : valueB), undefined, { numeric: true }) * direction;
+}
+
+// Apply filters, sorting, pagination and projection to a section's records
+function querySection(records, options) {
+  let items = records.filter(record => {
+    if (options.subject && subjectKey(record.subject) !== options.subject) return false;
+    if (options.status && !options.status.includes(String(record.status || '').toLowerCase())) return false;
+    if (options.from || options.to) {
+      const date = recordDate(record);
+      if (!date) return false;
+      if (options.from && date < options.from) return false;
+      if (options.to && date > options.to) return false;
+    }
+    return true;
+  });
+
+  if (options.sort.length > 0) {
+    items = [...items].sort((a, b) => {
+      for (const key of options.sort) {
+        const result = compareBy(a, b, key);
+        if (result !== 0) return result;
+      }
+      return 0;
+    });
+  }
+
+  const total = items.length;
+  items = items.slice(options.offset, options.offset + options.limit);
+
+  if (options.fields) {
+    items = items.map(item => {
+      const projected = {};
+      options.fields.forEach(field => {
+        if (field in item) projected[field] = item[field];
+      });
+      return projected;
+    });
+  }
+
+  return { total, items };
+}
+
+module.exports = { resolveSectionName, parseSectionQuery, querySection };
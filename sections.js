@@ -0,0 +1,356 @@
+const fs = require('fs');
+const path = require('path');
+const { parseSheetDate, toIsoDate, daysUntil } = require('./dates');
+
+// Declarative registry of the horizontal sheets we read.
+//
+// Every section is one sheet where a student's row holds repeated column
+// groups like math_test1, math_test1_date, math_test1_max_marks, ... The
+// section's "key" template names the column that starts a group, and each
+// field says where its value comes from:
+//   - "capture": a placeholder taken from the key column (e.g. the subject)
+//   - "key": true, the value of the key column itself
+//   - "column": another column in the group, as a template
+// Each record also gets an "id", the key column's header (e.g. math_test1).
+// Fields can also set "type" (string, integer, number, date), "default",
+// "format" (title, capitalize, lowercase), "min" for numeric key fields, and
+// "derive" to compute a value when the column is blank (e.g. a percentage).
+// Fields with "derive" and no column are always computed, e.g. days until a
+// due date. Date fields keep the original text and add "<name>Iso".
+//
+// Optional "checks" are used by the sheet validator, e.g.
+// { "field": "marksObtained", "atMost": "maxMarks" } or
+// { "sumOf": ["present", "absent"], "equals": "workingDays" }.
+//
+// Sections are optional by default: a missing or empty sheet just leaves the
+// section empty and adds a warning to the response. "required": true makes it
+// an error instead.
+//
+// The default registry lives in sections.json. Point SECTIONS_CONFIG at
+// another file to add sheets like Projects or Lab Work without code changes.
+
+const DEFAULT_SECTIONS_PATH = path.join(__dirname, 'sections.json');
+
+const FIELD_TYPES = ['string', 'integer', 'number', 'date'];
+
+// Statuses that mean a piece of work is finished, for the "overdue" derivation
+const DONE_STATUSES = ['complete', 'completed', 'submitted', 'done'];
+const FORMATS = ['title', 'capitalize', 'lowercase'];
+
+// Placeholders like {n} or {num} match digits; anything else matches a name
+function placeholderPattern(name) {
+  return (name === 'n' || name === 'num') ? '(\\d+)' : '([a-z0-9_]+?)';
+}
+
+// Turn a template like "{subject}_test{n}" into an anchored regex plus the placeholder names
+function compileTemplate(template) {
+  const placeholders = [];
+  const source = template.toLowerCase().replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{(\w+)\}/g, (match, name) => {
+    placeholders.push(name);
+    return placeholderPattern(name);
+  });
+  return { regex: new RegExp(`^${source}$`), placeholders };
+}
+
+// Fill a column template with the values captured from the key column
+function renderTemplate(template, captures) {
+  return template.toLowerCase().replace(/\{(\w+)\}/g, (match, name) => captures[name] || '');
+}
+
+// Check a section definition and precompile its key pattern
+function compileSection(definition) {
+  const { name, sheet, key, fields } = definition;
+
+  if (!name || !sheet || !key) {
+    throw new Error(`Section ${JSON.stringify(name || sheet)} needs "name", "sheet" and "key"`);
+  }
+  if (!Array.isArray(fields) || fields.length === 0) {
+    throw new Error(`Section "${name}" needs a non-empty "fields" list`);
+  }
+
+  const { regex, placeholders } = compileTemplate(key);
+  const keyFields = fields.filter(field => field.key);
+  if (keyFields.length !== 1) {
+    throw new Error(`Section "${name}" must have exactly one field with "key": true`);
+  }
+
+  fields.forEach(field => {
+    if (!field.name) {
+      throw new Error(`Section "${name}" has a field without a name`);
+    }
+    if (field.type && !FIELD_TYPES.includes(field.type)) {
+      throw new Error(`Field "${name}.${field.name}" has unknown type "${field.type}"`);
+    }
+    if (field.format && !FORMATS.includes(field.format)) {
+      throw new Error(`Field "${name}.${field.name}" has unknown format "${field.format}"`);
+    }
+    if (field.capture && !placeholders.includes(field.capture)) {
+      throw new Error(`Field "${name}.${field.name}" captures "{${field.capture}}", which is not in key "${key}"`);
+    }
+    if (!field.key && !field.capture && !field.column && !field.derive) {
+      throw new Error(`Field "${name}.${field.name}" needs one of "key", "capture", "column" or "derive"`);
+    }
+  });
+
+  const fieldNames = fields.map(field => field.name);
+  (definition.checks || []).forEach(check => {
+    const referenced = [check.field, check.atMost, check.equals, ...(check.sumOf || [])].filter(Boolean);
+    const unknown = referenced.find(fieldName => !fieldNames.includes(fieldName));
+    if (unknown) {
+      throw new Error(`Section "${name}" has a check on unknown field "${unknown}"`);
+    }
+  });
+
+  return {
+    ...definition,
+    columns: definition.columns || 'A:ZZZ',
+    checks: definition.checks || [],
+    required: Boolean(definition.required),
+    keyRegex: regex,
+    placeholders,
+    keyField: keyFields[0]
+  };
+}
+
+// Load and compile the section registry
+function loadSections(configPath) {
+  const file = configPath ? path.resolve(configPath) : DEFAULT_SECTIONS_PATH;
+  const definitions = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  if (!Array.isArray(definitions)) {
+    throw new Error(`Section config ${file} must be a JSON array`);
+  }
+
+  const sections = definitions.map(compileSection);
+  const names = new Set();
+  sections.forEach(section => {
+    if (names.has(section.name)) {
+      throw new Error(`Section name "${section.name}" is used more than once in ${file}`);
+    }
+    names.add(section.name);
+  });
+
+  return sections;
+}
+
+// Sheet ranges to request for a list of sections. sheetTitle maps a sheet name to the
+// tab that is actually read, for renamed tabs or per-year tabs like "Tests 2024-25".
+function sectionRanges(sections, sheetTitle = sheet => sheet) {
+  return sections.map(section => `${quoteSheetName(sheetTitle(section.sheet))}!${section.columns}`);
+}
+
+// Sheet names with spaces or punctuation must be quoted in A1 notation
+function quoteSheetName(sheet) {
+  return /^[A-Za-z0-9_]+$/.test(sheet) ? sheet : `'${sheet.replace(/'/g, "''")}'`;
+}
+
+// Column letters for a zero-based index: 0 -> A, 26 -> AA
+function columnLetter(index) {
+  let letters = '';
+  let n = index + 1;
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    letters = String.fromCharCode(65 + remainder) + letters;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letters;
+}
+
+// A1 address of a cell from zero-based row and column indexes
+function cellAddress(rowIndex, columnIndex) {
+  return `${columnLetter(columnIndex)}${rowIndex + 1}`;
+}
+
+// Map lowercase header names to their first column index
+function indexHeaders(headers) {
+  const index = new Map();
+  (headers || []).forEach((header, i) => {
+    const name = String(header || '').toLowerCase();
+    if (!index.has(name)) index.set(name, i);
+  });
+  return index;
+}
+
+// Coerce a raw cell to the field's type, returning null when it is blank or unparseable
+function coerceValue(raw, type) {
+  if (raw === undefined || raw === null || raw === '') return null;
+  if (type === 'integer') {
+    const value = parseInt(raw);
+    return isNaN(value) ? null : value;
+  }
+  if (type === 'number') {
+    const value = parseFloat(raw);
+    return isNaN(value) ? null : value;
+  }
+  if (type === 'date') {
+    return String(raw).trim() || null;
+  }
+  return String(raw);
+}
+
+// Apply a display format to a value
+function formatValue(value, format) {
+  if (typeof value !== 'string') return value;
+  if (format === 'title') return capitalizeSubject(value);
+  if (format === 'capitalize') return capitalizeFirstLetter(value);
+  if (format === 'lowercase') return value.toLowerCase();
+  return value;
+}
+
+// Default value for a field that has no usable cell
+function defaultValue(field) {
+  if (field.default !== undefined) return field.default;
+  if (!field.column && !field.key && !field.capture) return null;
+  return (field.type === 'integer' || field.type === 'number') ? 0 : '';
+}
+
+// Compute a derived value from fields that are already parsed
+function deriveValue(derive, record) {
+  if (derive.percentOf) {
+    const [part, whole] = derive.percentOf;
+    if (record[whole] > 0) {
+      return (record[part] / record[whole]) * 100;
+    }
+  }
+  if (derive.daysUntil) {
+    return daysUntil(parseSheetDate(record[`${derive.daysUntil}Iso`]));
+  }
+  if (derive.overdue) {
+    const days = daysUntil(parseSheetDate(record[`${derive.overdue}Iso`]));
+    const doneStatuses = derive.doneStatuses || DONE_STATUSES;
+    return days !== null && days < 0 && !doneStatuses.includes(String(record.status || '').toLowerCase());
+  }
+  if (derive.timing) {
+    const days = daysUntil(parseSheetDate(record[`${derive.timing}Iso`]));
+    if (days === null) return null;
+    return days < 0 ? 'past' : 'upcoming';
+  }
+  return null;
+}
+
+// Parse one student's row of a horizontal sheet into a list of records
+function parseSection(section, headers, studentRow) {
+  if (!studentRow || !headers) return [];
+
+  const headerIndex = indexHeaders(headers);
+  const records = [];
+
+  for (let i = 0; i < headers.length; i++) {
+    const header = String(headers[i] || '').toLowerCase();
+    const match = header.match(section.keyRegex);
+    if (!match) continue;
+
+    // Skip groups whose key column is blank, unparseable or below its minimum
+    const keyValue = coerceValue(studentRow[i], section.keyField.type);
+    if (keyValue === null) continue;
+    if (section.keyField.min !== undefined && keyValue < section.keyField.min) continue;
+
+    const captures = {};
+    section.placeholders.forEach((name, p) => {
+      captures[name] = match[p + 1];
+    });
+
+    const record = {};
+    const derived = [];
+
+    section.fields.forEach(field => {
+      let value;
+      if (field.key) {
+        value = keyValue;
+      } else if (field.capture) {
+        value = captures[field.capture];
+      } else if (field.column) {
+        const columnIndex = headerIndex.get(renderTemplate(field.column, captures));
+        value = columnIndex === undefined ? null : coerceValue(studentRow[columnIndex], field.type);
+        if (value === null && field.derive) {
+          derived.push(field);
+        }
+      } else {
+        value = null;
+        derived.push(field);
+      }
+
+      record[field.name] = value === null ? defaultValue(field) : formatValue(value, field.format);
+
+      // Date fields keep the text as typed and add a normalized ISO date
+      if (field.type === 'date') {
+        record[`${field.name}Iso`] = toIsoDate(parseSheetDate(value));
+      }
+    });
+
+    // Derived fields run last so they can use any other field in the group
+    derived.forEach(field => {
+      const value = deriveValue(field.derive, record);
+      if (value !== null) record[field.name] = value;
+    });
+
+    // Stable identifier for the column group, e.g. "math_test1"
+    record.id = header;
+
+    records.push(record);
+  }
+
+  return records;
+}
+
+// Fields whose cells hold an actual score; a test with none of them filled in
+// (blank, or "AB" for absent) hasn't been sat or marked yet, and the 0% its
+// defaults add up to isn't a score
+const SCORE_FIELDS = ['marksObtained', 'percentage'];
+
+// Whether a parsed record came from a numeric marks or percentage cell
+function wasScored(section, headerIndex, row, record) {
+  const match = String(record.id).match(section.keyRegex);
+  if (!match || !row) return false;
+  const captures = {};
+  section.placeholders.forEach((name, p) => {
+    captures[name] = match[p + 1];
+  });
+
+  return section.fields
+    .filter(field => SCORE_FIELDS.includes(field.name) && field.column)
+    .some(field => {
+      const columnIndex = headerIndex.get(renderTemplate(field.column, captures));
+      return columnIndex !== undefined && coerceValue(row[columnIndex], field.type) !== null;
+    });
+}
+
+// Tests with a "scored" flag: true when the test has max marks and its marks (or
+// percentage) were filled in. Grades, averages, rankings, trends and alerts only
+// count scored tests.
+function markScored(section, headers, row, tests) {
+  const headerIndex = indexHeaders(headers);
+  return tests.map(test => ({ ...test, scored: test.maxMarks > 0 && wasScored(section, headerIndex, row, test) }));
+}
+
+// Helper function to capitalize first letter
+function capitalizeFirstLetter(string) {
+  if (!string) return '';
+  return string.charAt(0).toUpperCase() + string.slice(1);
+}
+
+// Helper function to capitalize subject names (handles multi-word subjects)
+function capitalizeSubject(subject) {
+  if (!subject) return '';
+  return subject.split('_')
+    .map(word => capitalizeFirstLetter(word))
+    .join(' ');
+}
+
+module.exports = {
+  loadSections,
+  compileSection,
+  sectionRanges,
+  quoteSheetName,
+  columnLetter,
+  cellAddress,
+  compileTemplate,
+  indexHeaders,
+  renderTemplate,
+  coerceValue,
+  parseSection,
+  markScored,
+  DONE_STATUSES,
+  capitalizeFirstLetter,
+  capitalizeSubject
+};
@@ -0,0 +1,279 @@
+const { compileTemplate, renderTemplate, indexHeaders, cellAddress } = require('./sections');
+const { STUDENTS_SHEET, getSheetValues } = require('./studentData');
+const { parseSheetDate } = require('./dates');
+
+// Scan every sheet for data problems that the parsers would otherwise hide:
+// mistyped headers, non-numeric marks, marks over the maximum, attendance that
+// doesn't add up, duplicate admission numbers and unparseable dates.
+
+const REQUIRED_STUDENT_HEADERS = ['admission_no', 'name', 'class'];
+
+// Plain numbers, optionally with a trailing percent sign
+const NUMERIC_PATTERN = /^-?\d+(\.\d+)?\s*%?$/;
+
+// Edit distance between two strings, used to suggest the header a typo meant
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
+
+// Closest candidate within a few edits, or null
+function closestMatch(value, candidates) {
+  let best = null;
+  let bestDistance = Infinity;
+  candidates.forEach(candidate => {
+    const distance = editDistance(value, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  });
+  return bestDistance <= 3 ? best : null;
+}
+
+// Collects issues with a consistent shape
+function createReport() {
+  const issues = [];
+  const add = (severity, sheet, cell, code, message) => {
+    issues.push({ severity, sheet, cell, code, message });
+  };
+  return { issues, add };
+}
+
+// Admission number checks shared by every sheet: missing column, bad format, duplicates
+function checkAdmissionNumbers(report, sheet, values, knownStudents) {
+  const headers = values[0] || [];
+  const admissionIndex = headers.findIndex(h => String(h).toLowerCase() === 'admission_no');
+
+  if (admissionIndex === -1) {
+    report.add('error', sheet, 'A1', 'missing_admission_header', `Sheet has no admission_no column, so no student rows can be found`);
+    return [];
+  }
+
+  const seen = new Map();
+  const admissions = [];
+
+  for (let r = 1; r < values.length; r++) {
+    const row = values[r] || [];
+    if (row.every(cell => !cell)) continue;
+
+    const admission = String(row[admissionIndex] || '').trim();
+    const cell = cellAddress(r, admissionIndex);
+
+    if (!admission) {
+      report.add('warning', sheet, cell, 'missing_admission_no', 'Row has data but no admission number');
+      continue;
+    }
+    if (!/^\d{5}$/.test(admission)) {
+      report.add('error', sheet, cell, 'invalid_admission_no', `Admission number "${admission}" is not 5 digits`);
+    }
+    if (row[admissionIndex] !== admission) {
+      report.add('warning', sheet, cell, 'admission_whitespace', `Admission number "${row[admissionIndex]}" has extra spaces and won't match lookups`);
+    }
+    if (seen.has(admission)) {
+      report.add('error', sheet, cell, 'duplicate_admission_no',
+        `Admission number ${admission} is duplicated (first at ${seen.get(admission)}); only the first row is used`);
+    } else {
+      seen.set(admission, cell);
+    }
+    if (knownStudents && !knownStudents.has(admission)) {
+      report.add('warning', sheet, cell, 'unknown_student', `Admission number ${admission} is not in the ${STUDENTS_SHEET} sheet`);
+    }
+
+    admissions.push(admission);
+  }
+
+  return admissions;
+}
+
+// Students sheet: required headers and admission numbers
+function validateStudentsSheet(report, workbook) {
+  const values = getSheetValues(workbook, STUDENTS_SHEET);
+  if (values.length === 0) {
+    report.add('error', STUDENTS_SHEET, 'A1', 'empty_sheet', 'Students sheet is missing or empty');
+    return new Set();
+  }
+
+  const headers = (values[0] || []).map(h => String(h).toLowerCase());
+  REQUIRED_STUDENT_HEADERS.forEach(required => {
+    if (!headers.includes(required)) {
+      report.add('error', STUDENTS_SHEET, 'A1', 'missing_header', `Required column "${required}" is missing`);
+    }
+  });
+
+  const dobIndex = headers.indexOf('dob');
+  if (dobIndex !== -1) {
+    for (let r = 1; r < values.length; r++) {
+      const dob = (values[r] || [])[dobIndex];
+      if (dob && !parseSheetDate(dob)) {
+        report.add('warning', STUDENTS_SHEET, cellAddress(r, dobIndex), 'invalid_date', `Date of birth "${dob}" can't be read as a date`);
+      }
+    }
+  }
+
+  return new Set(checkAdmissionNumbers(report, STUDENTS_SHEET, values, null));
+}
+
+// Header checks for one section: orphan detail columns and typos in detail columns
+function validateSectionHeaders(report, section, headers) {
+  const headerIndex = indexHeaders(headers);
+  const detailFields = section.fields.filter(field => field.column);
+  const detailPatterns = detailFields.map(field => ({ field, ...compileTemplate(field.column) }));
+
+  // Every key column's group, so we know which detail columns to expect
+  const expectedColumns = new Set();
+  const groupPrefixes = [];
+  headers.forEach(header => {
+    const name = String(header || '').toLowerCase();
+    const match = name.match(section.keyRegex);
+    if (!match) return;
+    const captures = {};
+    section.placeholders.forEach((placeholder, p) => {
+      captures[placeholder] = match[p + 1];
+    });
+    groupPrefixes.push(`${name}_`);
+    detailFields.forEach(field => expectedColumns.add(renderTemplate(field.column, captures)));
+  });
+
+  headers.forEach((header, c) => {
+    const name = String(header || '').toLowerCase();
+    if (!name || name === 'admission_no' || section.keyRegex.test(name)) return;
+
+    // Detail column whose parent key column doesn't exist
+    const detail = detailPatterns.find(pattern => pattern.regex.test(name));
+    if (detail) {
+      const match = name.match(detail.regex);
+      const captures = {};
+      detail.placeholders.forEach((placeholder, p) => {
+        captures[placeholder] = match[p + 1];
+      });
+      const parent = renderTemplate(section.key, captures);
+      if (!headerIndex.has(parent)) {
+        report.add('warning', section.sheet, cellAddress(0, c), 'orphan_column',
+          `Column "${header}" has no parent "${parent}" column, so it is ignored`);
+      }
+      return;
+    }
+
+    // Looks like it belongs to a group but isn't a known field - probably a typo
+    if (groupPrefixes.some(prefix => name.startsWith(prefix))) {
+      const suggestion = closestMatch(name, [...expectedColumns]);
+      report.add('warning', section.sheet, cellAddress(0, c), 'unknown_column',
+        `Column "${header}" is not a recognised field${suggestion ? `; did you mean "${suggestion}"?` : ''}`);
+    }
+  });
+}
+
+// Cell checks for one section: numbers, dates and cross-field checks
+function validateSectionCells(report, section, values) {
+  const headers = values[0] || [];
+  const headerIndex = indexHeaders(headers);
+
+  headers.forEach((header, keyColumn) => {
+    const match = String(header || '').toLowerCase().match(section.keyRegex);
+    if (!match) return;
+
+    const captures = {};
+    section.placeholders.forEach((placeholder, p) => {
+      captures[placeholder] = match[p + 1];
+    });
+
+    // Column index of every field in this group
+    const columns = {};
+    section.fields.forEach(field => {
+      if (field.key) columns[field.name] = keyColumn;
+      else if (field.column) {
+        const index = headerIndex.get(renderTemplate(field.column, captures));
+        if (index !== undefined) columns[field.name] = index;
+      }
+    });
+
+    for (let r = 1; r < values.length; r++) {
+      const row = values[r] || [];
+      if (!row[keyColumn]) continue;
+
+      const numbers = {};
+      section.fields.forEach(field => {
+        const column = columns[field.name];
+        if (column === undefined) return;
+        const raw = row[column];
+        if (raw === undefined || raw === null || String(raw).trim() === '') return;
+        const text = String(raw).trim();
+        const cell = cellAddress(r, column);
+
+        if (field.type === 'integer' || field.type === 'number') {
+          if (!NUMERIC_PATTERN.test(text)) {
+            report.add('error', section.sheet, cell, 'not_a_number',
+              `"${text}" in ${headers[column]} is not a number and will be read as ${field.key ? 'missing' : field.default !== undefined ? field.default : 0}`);
+          } else {
+            numbers[field.name] = parseFloat(text);
+          }
+        }
+        if (field.type === 'date' && !parseSheetDate(text)) {
+          report.add('warning', section.sheet, cell, 'invalid_date', `"${text}" in ${headers[column]} can't be read as a date`);
+        }
+      });
+
+      section.checks.forEach(check => {
+        if (check.atMost && numbers[check.field] !== undefined && numbers[check.atMost] !== undefined &&
+            numbers[check.field] > numbers[check.atMost]) {
+          report.add('error', section.sheet, cellAddress(r, columns[check.field]), 'exceeds_maximum',
+            `${check.field} (${numbers[check.field]}) is more than ${check.atMost} (${numbers[check.atMost]})`);
+        }
+        if (check.sumOf && check.equals && numbers[check.equals] !== undefined &&
+            check.sumOf.every(name => numbers[name] !== undefined)) {
+          const sum = check.sumOf.reduce((total, name) => total + numbers[name], 0);
+          if (sum !== numbers[check.equals]) {
+            report.add('warning', section.sheet, cellAddress(r, columns[check.equals]), 'sum_mismatch',
+              `${check.sumOf.join(' + ')} = ${sum}, but ${check.equals} is ${numbers[check.equals]}`);
+          }
+        }
+      });
+    }
+  });
+}
+
+// Validate the whole workbook against the section registry
+function validateWorkbook(workbook, sections) {
+  const report = createReport();
+  const knownStudents = validateStudentsSheet(report, workbook);
+
+  sections.forEach(section => {
+    const values = getSheetValues(workbook, section.sheet);
+    if (values.length === 0) {
+      report.add('warning', section.sheet, 'A1', 'empty_sheet', `Sheet "${section.sheet}" is missing or empty`);
+      return;
+    }
+
+    checkAdmissionNumbers(report, section.sheet, values, knownStudents);
+    validateSectionHeaders(report, section, values[0] || []);
+    validateSectionCells(report, section, values);
+  });
+
+  const count = severity => report.issues.filter(issue => issue.severity === severity).length;
+
+  return {
+    generatedAt: new Date().toISOString(),
+    summary: {
+      errors: count('error'),
+      warnings: count('warning'),
+      total: report.issues.length
+    },
+    issues: report.issues
+  };
+}
+
+module.exports = { validateWorkbook };
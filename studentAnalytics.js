@@ -0,0 +1,202 @@
+const { average, round } = require('./classStats');
+const { parseSheetDate, monthNumber } = require('./dates');
+
+// Test performance trends for one student, per subject: the test percentages
+// in date order with a moving average, the trend line's slope, best and worst
+// tests, and sudden drops between consecutive tests. Monthly attendance is
+// set against the month's test average to see whether the two move together.
+
+const DEFAULT_OPTIONS = {
+  // Tests in the trailing moving average
+  window: 3,
+  // A fall of more than this many percentage points from one test to the next is a drop
+  dropThreshold: 15,
+  // Slope (points per 30 days) beyond which a subject counts as improving or declining
+  trendThreshold: 2
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Least-squares slope of y over x, or null when x doesn't vary
+function slope(points) {
+  if (points.length < 2) return null;
+  const meanX = average(points.map(p => p.x));
+  const meanY = average(points.map(p => p.y));
+  const sxx = points.reduce((sum, p) => sum + (p.x - meanX) ** 2, 0);
+  if (sxx === 0) return null;
+  const sxy = points.reduce((sum, p) => sum + (p.x - meanX) * (p.y - meanY), 0);
+  return sxy / sxx;
+}
+
+// Pearson correlation of two lists, or null with fewer than three pairs or no variation
+function correlation(xs, ys) {
+  if (xs.length < 3) return null;
+  const meanX = average(xs);
+  const meanY = average(ys);
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  xs.forEach((x, i) => {
+    sxy += (x - meanX) * (ys[i] - meanY);
+    sxx += (x - meanX) ** 2;
+    syy += (ys[i] - meanY) ** 2;
+  });
+  if (sxx === 0 || syy === 0) return null;
+  return sxy / Math.sqrt(sxx * syy);
+}
+
+// Plain-words reading of a correlation coefficient
+function correlationStrength(coefficient) {
+  if (coefficient === null) return 'insufficient_data';
+  const size = Math.abs(coefficient);
+  const direction = coefficient > 0 ? 'positive' : 'negative';
+  if (size >= 0.7) return `strong_${direction}`;
+  if (size >= 0.4) return `moderate_${direction}`;
+  if (size >= 0.2) return `weak_${direction}`;
+  return 'none';
+}
+
+// Attendance percentage by month number (1-12), from the attendance section
+function attendanceByMonth(attendance) {
+  const months = new Map();
+  (attendance || []).forEach(record => {
+    const month = monthNumber(String(record.month || ''));
+    if (!isNaN(month) && record.workingDays > 0) months.set(month, { label: record.month, percentage: record.percentage });
+  });
+  return months;
+}
+
+// Monthly attendance against the average of the tests written that month
+function attendanceCorrelation(series, attendance) {
+  const byMonth = new Map();
+  series.forEach(point => {
+    const month = parseSheetDate(point.dateIso).getMonth() + 1;
+    if (!byMonth.has(month)) byMonth.set(month, []);
+    byMonth.get(month).push(point.percentage);
+  });
+
+  const months = [...byMonth.entries()]
+    .filter(([month]) => attendance.has(month))
+    .map(([month, percentages]) => ({
+      month: attendance.get(month).label,
+      attendance: round(attendance.get(month).percentage),
+      testAverage: round(average(percentages))
+    }));
+
+  const coefficient = correlation(months.map(m => m.attendance), months.map(m => m.testAverage));
+  return {
+    months,
+    coefficient: coefficient === null ? null : Math.round(coefficient * 100) / 100,
+    strength: correlationStrength(coefficient)
+  };
+}
+
+// Dated, scored tests in date order with the trailing moving average. Tests not
+// written or marked yet are left out rather than counted as 0%.
+function testSeries(tests, window) {
+  const dated = tests
+    .filter(test => test.scored && test.dateIso)
+    .sort((a, b) => a.dateIso.localeCompare(b.dateIso) || String(a.id).localeCompare(String(b.id)));
+
+  return dated.map((test, i) => {
+    const recent = dated.slice(Math.max(0, i - window + 1), i + 1).map(t => t.percentage);
+    return {
+      id: test.id,
+      name: test.name,
+      date: test.date,
+      dateIso: test.dateIso,
+      percentage: round(test.percentage),
+      movingAverage: round(average(recent))
+    };
+  });
+}
+
+// Trend of a series from the slope of percentage against time
+function trendFor(series, trendThreshold) {
+  const first = series.length > 0 ? parseSheetDate(series[0].dateIso).getTime() : 0;
+  const perDay = slope(series.map(point => ({
+    x: (parseSheetDate(point.dateIso).getTime() - first) / MS_PER_DAY,
+    y: point.percentage
+  })));
+
+  if (perDay === null) return { slopePerMonth: null, direction: 'insufficient_data' };
+  const perMonth = perDay * 30;
+  let direction = 'steady';
+  if (perMonth > trendThreshold) direction = 'improving';
+  if (perMonth < -trendThreshold) direction = 'declining';
+  return { slopePerMonth: round(perMonth), direction };
+}
+
+// Enough of a test to point at it
+function testRef(point) {
+  return { id: point.id, name: point.name, date: point.date, dateIso: point.dateIso, percentage: point.percentage };
+}
+
+// Consecutive tests where the percentage fell by more than the threshold
+function findDrops(series, dropThreshold) {
+  const drops = [];
+  for (let i = 1; i < series.length; i++) {
+    const change = series[i].percentage - series[i - 1].percentage;
+    if (change < -dropThreshold) {
+      drops.push({
+        from: testRef(series[i - 1]),
+        to: testRef(series[i]),
+        change: round(change)
+      });
+    }
+  }
+  return drops;
+}
+
+// Best or worst test of a series
+function pick(series, better) {
+  if (series.length === 0) return null;
+  return testRef(series.reduce((best, point) => (better(point.percentage, best.percentage) ? point : best)));
+}
+
+// Analytics for one student's processed data. options override DEFAULT_OPTIONS.
+function buildStudentAnalytics(studentData, options = {}) {
+  const { window, dropThreshold, trendThreshold } = { ...DEFAULT_OPTIONS, ...options };
+  const tests = studentData.tests || [];
+  const attendance = attendanceByMonth(studentData.attendance);
+
+  const subjectNames = [...new Set(tests.map(test => test.subject).filter(Boolean))].sort();
+  const subjects = subjectNames.map(subject => {
+    const subjectTests = tests.filter(test => test.subject === subject);
+    const series = testSeries(subjectTests, window);
+    const drops = findDrops(series, dropThreshold);
+    const progress = (studentData.subjectProgress || []).find(s => s.subject === subject);
+
+    return {
+      subject,
+      progress: progress ? progress.progress : null,
+      tests: series.length,
+      undatedTests: subjectTests.filter(test => test.scored && !test.dateIso).length,
+      average: series.length > 0 ? round(average(series.map(point => point.percentage))) : null,
+      latest: series.length > 0 ? series[series.length - 1].percentage : null,
+      trend: trendFor(series, trendThreshold),
+      best: pick(series, (a, b) => a > b),
+      worst: pick(series, (a, b) => a < b),
+      drops,
+      hasSuddenDrop: drops.length > 0,
+      series,
+      attendanceCorrelation: attendanceCorrelation(series, attendance)
+    };
+  });
+
+  const allSeries = testSeries(tests, window);
+  return {
+    options: { window, dropThreshold, trendThreshold },
+    subjects,
+    flags: subjects
+      .filter(subject => subject.hasSuddenDrop || subject.trend.direction === 'declining')
+      .map(subject => ({
+        subject: subject.subject,
+        ...(subject.hasSuddenDrop && { drops: subject.drops.length, largestDrop: Math.min(...subject.drops.map(drop => drop.change)) }),
+        declining: subject.trend.direction === 'declining'
+      })),
+    attendanceCorrelation: attendanceCorrelation(allSeries, attendance)
+  };
+}
+
+module.exports = { buildStudentAnalytics, DEFAULT_OPTIONS };
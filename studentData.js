@@ -0,0 +1,199 @@
+const { parseSection, markScored, DONE_STATUSES } = require('./sections');
+const { ApiError, StudentNotFoundError, SheetMissingError } = require('./errors');
+const { logger } = require('./logger');
+const { initialsFor } = require('./photos');
+const { DAILY_ATTENDANCE_SHEET, attendanceTotals, parseDailyAttendance, mergeAttendance } = require('./dailyAttendance');
+
+// Student info lives in a vertical sheet, one row per student
+const STUDENTS_SHEET = 'Students';
+
+// Rows of a sheet from the cached workbook (empty if the sheet is missing)
+function getSheetValues(workbook, sheetName) {
+  return workbook.sheets[sheetName] || [];
+}
+
+// Rows of the Students sheet, which nothing works without
+function getStudentsValues(workbook) {
+  const values = getSheetValues(workbook, STUDENTS_SHEET);
+  if (values.length === 0) {
+    throw new SheetMissingError(STUDENTS_SHEET);
+  }
+  return values;
+}
+
+// Warnings for section sheets that are missing or have no student rows. A
+// required section fails the request instead.
+function sheetWarnings(workbook, sections) {
+  const missing = workbook.missing || [];
+  const warnings = [];
+  
+  sections.forEach(section => {
+    const values = getSheetValues(workbook, section.sheet);
+    const code = missing.includes(section.sheet) ? 'sheet_missing' : values.length < 2 ? 'sheet_empty' : null;
+    if (!code) return;
+    
+    if (section.required) {
+      throw new SheetMissingError(section.sheet);
+    }
+    warnings.push({
+      code,
+      sheet: section.sheet,
+      section: section.name,
+      message: code === 'sheet_missing'
+        ? `The ${section.sheet} sheet was not found, so ${section.name} is empty`
+        : `The ${section.sheet} sheet has no student rows, so ${section.name} is empty`
+    });
+  });
+  
+  return warnings;
+}
+
+// Process the workbook with HORIZONTAL data structure
+function processStudentData(workbook, admissionNumber, sections) {
+  try {
+    const studentsValues = getStudentsValues(workbook);
+    const studentsHeaders = studentsValues[0] || [];
+    
+    // Find student info row - this remains the same (vertical format)
+    const studentData = findStudentByAdmissionNo(studentsValues, studentsHeaders, admissionNumber);
+    
+    if (!studentData) {
+      throw new StudentNotFoundError(admissionNumber);
+    }
+    
+    const warnings = sheetWarnings(workbook, sections);
+    
+    // Extract student basic info
+    const studentInfo = {
+      name: getValueByHeader(studentData, studentsHeaders, 'name'),
+      class: getValueByHeader(studentData, studentsHeaders, 'class'),
+      admissionNo: getValueByHeader(studentData, studentsHeaders, 'admission_no'),
+      rollNo: getValueByHeader(studentData, studentsHeaders, 'roll_no'),
+      dob: getValueByHeader(studentData, studentsHeaders, 'dob'),
+      contact: getValueByHeader(studentData, studentsHeaders, 'contact'),
+      photoUrl: getValueByHeader(studentData, studentsHeaders, 'photo_url')
+    };
+    
+    // Students without a photo get an avatar with their initials
+    if (!studentInfo.photoUrl) {
+      studentInfo.photoUrl = `/api/placeholder/120/120?initials=${encodeURIComponent(initialsFor(studentInfo.name))}`;
+    }
+    
+    // Parse the student's row of every horizontal sheet in the registry
+    const sectionData = {};
+    sections.forEach(section => {
+      const values = getSheetValues(workbook, section.sheet);
+      const headers = values[0] || [];
+      const studentRow = findStudentByAdmissionNo(values, headers, admissionNumber);
+      const records = parseSection(section, headers, studentRow);
+      sectionData[section.name] = section.name === 'tests' ? markScored(section, headers, studentRow, records) : records;
+    });
+    
+    // The daily attendance sheet is only in the workbook when DAILY_ATTENDANCE is on.
+    // Months it covers replace the same months from the monthly sheet.
+    const dailyEnabled = DAILY_ATTENDANCE_SHEET in workbook.sheets;
+    let dailyAttendance = null;
+    if (dailyEnabled) {
+      const values = getSheetValues(workbook, DAILY_ATTENDANCE_SHEET);
+      const code = (workbook.missing || []).includes(DAILY_ATTENDANCE_SHEET) ? 'sheet_missing' : values.length < 2 ? 'sheet_empty' : null;
+      if (code) {
+        warnings.push({
+          code,
+          sheet: DAILY_ATTENDANCE_SHEET,
+          section: 'dailyAttendance',
+          message: code === 'sheet_missing'
+            ? `The ${DAILY_ATTENDANCE_SHEET} sheet was not found, so attendance comes from monthly totals only`
+            : `The ${DAILY_ATTENDANCE_SHEET} sheet has no student rows, so attendance comes from monthly totals only`
+        });
+      }
+      const headers = values[0] || [];
+      dailyAttendance = parseDailyAttendance(headers, findStudentByAdmissionNo(values, headers, admissionNumber));
+      if (dailyAttendance) {
+        sectionData.attendance = mergeAttendance(sectionData.attendance || [], dailyAttendance.months);
+      }
+    }
+    
+    const subjectProgress = sectionData.subjectProgress || [];
+    const tests = sectionData.tests || [];
+    const assignments = sectionData.assignments || [];
+    const attendance = sectionData.attendance || [];
+    
+    // Sort tests by date (newest first) and take the 5 most recent for dashboard
+    // ISO dates compare as strings; tests without a usable date go last
+    const recentTests = [...tests].sort((a, b) => {
+      if (!a.dateIso || !b.dateIso) return (a.dateIso ? -1 : 0) + (b.dateIso ? 1 : 0);
+      return b.dateIso.localeCompare(a.dateIso);
+    }).slice(0, 5).map(test => ({
+      subject: test.subject,
+      name: test.name,
+      date: test.date,
+      dateIso: test.dateIso,
+      marks: `${test.marksObtained}/${test.maxMarks}`,
+      percentage: test.percentage,
+      grade: test.grade,
+      id: test.id
+    }));
+    
+    // Calculate summary statistics
+    const completedAssignments = assignments.filter(a => DONE_STATUSES.includes(a.status)).length;
+    const pendingAssignments = assignments.length - completedAssignments;
+    const overallAttendance = attendanceTotals(attendance).percentage || 0;
+    
+    // Compile all data
+    return {
+      studentInfo,
+      subjectProgress,
+      recentTests,
+      ...sectionData,
+      ...(dailyEnabled && { dailyAttendance }),
+      summary: {
+        totalSubjects: subjectProgress.length,
+        completedAssignments,
+        pendingAssignments,
+        attendancePercentage: `${overallAttendance.toFixed(1)}%`
+      },
+      warnings
+    };
+  } catch (error) {
+    // Not found and missing sheets are reported to the caller; anything else is a bug
+    if (!(error instanceof ApiError)) {
+      logger.error('Error processing student data', { admissionNo: admissionNumber, error: error.message, stack: error.stack });
+    }
+    throw error;
+  }
+}
+
+// Helper function to find a student by admission number
+function findStudentByAdmissionNo(values, headers, admissionNo) {
+  if (!values || !headers || values.length < 2) return null;
+  
+  const admissionIndex = headers.findIndex(h => h.toLowerCase() === 'admission_no');
+  if (admissionIndex === -1) return null;
+  
+  // Skip header row (index 0) and find student
+  for (let i = 1; i < values.length; i++) {
+    if (values[i] && String(values[i][admissionIndex] || '').trim() === admissionNo) {
+      return values[i];
+    }
+  }
+  
+  return null;
+}
+
+// Helper function to get a value by header name
+function getValueByHeader(row, headers, headerName) {
+  if (!row || !headers) return '';
+  
+  const index = headers.findIndex(h => h.toLowerCase() === headerName.toLowerCase());
+  return index !== -1 && index < row.length ? (row[index] || '') : '';
+}
+
+module.exports = {
+  STUDENTS_SHEET,
+  getSheetValues,
+  getStudentsValues,
+  sheetWarnings,
+  findStudentByAdmissionNo,
+  getValueByHeader,
+  processStudentData
+};
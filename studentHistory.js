@@ -0,0 +1,116 @@
+const { average, round } = require('./classStats');
+const { attendanceTotals } = require('./dailyAttendance');
+
+// Longitudinal view of one student across academic years: subject progress,
+// attendance, test averages and term results per year, plus each subject's
+// values lined up year by year for comparison.
+
+// Attendance totals for a year from the monthly records
+function yearAttendance(attendance) {
+  const totals = attendanceTotals(attendance);
+  return {
+    months: attendance.length,
+    ...totals,
+    percentage: totals.percentage === null ? null : round(totals.percentage)
+  };
+}
+
+// Average test percentage overall and per subject
+function testAverages(tests) {
+  const graded = tests.filter(test => test.maxMarks > 0);
+  const subjects = [...new Set(graded.map(test => test.subject))];
+  const overall = average(graded.map(test => test.percentage));
+
+  return {
+    count: graded.length,
+    average: overall === null ? null : round(overall),
+    subjects: subjects.map(subject => {
+      const subjectTests = graded.filter(test => test.subject === subject);
+      return {
+        subject,
+        count: subjectTests.length,
+        average: round(average(subjectTests.map(test => test.percentage)))
+      };
+    })
+  };
+}
+
+// One year's summary, or a placeholder when the student wasn't on roll that year
+// or the year's sheets couldn't be read
+function summarizeYear(year, studentData, error) {
+  if (!studentData) {
+    return { year: year.id, label: year.label, available: false, ...(error && { error }) };
+  }
+
+  const results = studentData.summary.results || {};
+  return {
+    year: year.id,
+    label: year.label,
+    available: true,
+    class: studentData.studentInfo.class,
+    subjects: studentData.subjectProgress.map(s => ({ subject: s.subject, progress: s.progress, grade: s.grade })),
+    attendance: yearAttendance(studentData.attendance || []),
+    tests: testAverages(studentData.tests || []),
+    results: {
+      overall: results.overall || null,
+      terms: results.terms || []
+    }
+  };
+}
+
+// Change from the previous year that has a value, rounded for display
+function withChanges(points, key) {
+  let previous = null;
+  return points.map(point => {
+    const value = point[key];
+    const change = value !== null && previous !== null ? round(value - previous) : null;
+    if (value !== null) previous = value;
+    return { ...point, [`${key}Change`]: change };
+  });
+}
+
+// Per-subject series across years: progress, test average and weighted result
+function subjectTrends(summaries) {
+  const available = summaries.filter(summary => summary.available);
+  const subjects = [...new Set(available.flatMap(summary => [
+    ...summary.subjects.map(s => s.subject),
+    ...summary.tests.subjects.map(s => s.subject)
+  ]))];
+
+  return subjects.map(subject => {
+    const points = available.map(summary => {
+      const progress = summary.subjects.find(s => s.subject === subject);
+      const tests = summary.tests.subjects.find(s => s.subject === subject);
+      return {
+        year: summary.year,
+        progress: progress ? progress.progress : null,
+        testAverage: tests ? tests.average : null
+      };
+    });
+    return { subject, years: withChanges(withChanges(points, 'progress'), 'testAverage') };
+  });
+}
+
+// Build the history from [{ year, studentData, error }] in year order (oldest first)
+function buildStudentHistory(admissionNo, entries) {
+  const summaries = entries.map(({ year, studentData, error }) => summarizeYear(year, studentData, error));
+  const available = summaries.filter(summary => summary.available);
+
+  const overall = available.map(summary => ({
+    year: summary.year,
+    attendance: summary.attendance.percentage,
+    testAverage: summary.tests.average,
+    result: summary.results.overall ? summary.results.overall.percentage : null
+  }));
+
+  return {
+    admission: admissionNo,
+    years: summaries,
+    trends: {
+      overall: withChanges(withChanges(withChanges(overall, 'attendance'), 'testAverage'), 'result'),
+      subjects: subjectTrends(summaries)
+    }
+  };
+}
+
+module.exports = { buildStudentHistory };
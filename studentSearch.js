@@ -0,0 +1,158 @@
+const { getStudentsValues, getValueByHeader } = require('./studentData');
+
+// Student search for staff. The query is matched exactly against admission
+// number, roll number and class, and loosely against the name: case and
+// accents don't matter, words can be given in any order or cut short, and a
+// typo or two is forgiven depending on the word's length. Results are ranked
+// by how well they match and only carry what a teacher needs to pick a
+// student, never the date of birth or contact details.
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Score for each kind of match; the best one decides a student's rank
+const SCORES = {
+  admissionNo: 100,
+  fullName: 95,
+  rollNo: 90,
+  class: 60
+};
+
+// Lowercase, without accents or punctuation, e.g. "Aarav D'Souza" -> "aarav dsouza"
+function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Class names compare without case, spaces or dashes, so "8-a" finds "8A"
+function classKey(className) {
+  return String(className || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+// Edit distance with adjacent swaps counting as one edit ("aanv" -> "anav")
+function editDistance(a, b) {
+  const rows = [];
+  for (let i = 0; i <= a.length; i++) {
+    rows.push([i]);
+  }
+  for (let j = 1; j <= b.length; j++) {
+    rows[0][j] = j;
+  }
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+// Typos allowed in a word: none for short words, then one, then two
+function allowedTypos(word) {
+  if (word.length <= 3) return 0;
+  if (word.length <= 6) return 1;
+  return 2;
+}
+
+// How well one query word matches a name word, from 0 (not at all) to 1 (exactly)
+function wordScore(queryWord, nameWord) {
+  if (nameWord === queryWord) return 1;
+  if (nameWord.startsWith(queryWord)) return 0.9;
+
+  // Compare against the start of the name word too, so a typo in a cut-short word still counts
+  const typos = allowedTypos(queryWord);
+  if (typos === 0) return 0;
+  const distance = Math.min(
+    editDistance(queryWord, nameWord),
+    editDistance(queryWord, nameWord.slice(0, queryWord.length))
+  );
+  return distance <= typos ? 0.8 - 0.15 * distance : 0;
+}
+
+// Name match score out of 80: every query word has to match some word of the name
+function nameScore(queryWords, name) {
+  const nameWords = normalizeText(name).split(' ').filter(Boolean);
+  if (queryWords.length === 0 || nameWords.length === 0) return 0;
+
+  let total = 0;
+  for (const queryWord of queryWords) {
+    const best = Math.max(...nameWords.map(nameWord => wordScore(queryWord, nameWord)));
+    if (best === 0) return 0;
+    total += best;
+  }
+  return Math.round((total / queryWords.length) * 80);
+}
+
+// Score one student against the query; null when nothing matches
+function scoreStudent(student, query) {
+  const matches = [];
+  if (query.raw === student.admissionNo) matches.push({ on: 'admission_no', score: SCORES.admissionNo });
+  if (query.raw === student.rollNo) matches.push({ on: 'roll_no', score: SCORES.rollNo });
+  if (query.classKey && query.classKey === classKey(student.class)) matches.push({ on: 'class', score: SCORES.class });
+
+  if (query.text && query.text === normalizeText(student.name)) {
+    matches.push({ on: 'name', score: SCORES.fullName });
+  } else {
+    const score = nameScore(query.words, student.name);
+    if (score > 0) matches.push({ on: 'name', score });
+  }
+
+  if (matches.length === 0) return null;
+  return matches.reduce((best, match) => (match.score > best.score ? match : best));
+}
+
+// Search the Students sheet. q is the search text; className narrows the results
+// to one class (and on its own lists that class).
+function searchStudents(workbook, { q, className, limit = DEFAULT_LIMIT }) {
+  const values = getStudentsValues(workbook);
+  const headers = values[0] || [];
+  const text = normalizeText(q);
+  const query = {
+    raw: String(q || '').trim(),
+    text,
+    words: text.split(' ').filter(Boolean),
+    classKey: classKey(q)
+  };
+  const classFilter = className ? classKey(className) : null;
+
+  const results = [];
+  values.slice(1).forEach(row => {
+    if (!row || row.length === 0) return;
+    const student = {
+      admissionNo: getValueByHeader(row, headers, 'admission_no'),
+      name: getValueByHeader(row, headers, 'name'),
+      class: getValueByHeader(row, headers, 'class').trim(),
+      rollNo: getValueByHeader(row, headers, 'roll_no'),
+      hasPhoto: Boolean(getValueByHeader(row, headers, 'photo_url'))
+    };
+    if (!student.admissionNo) return;
+    if (classFilter && classKey(student.class) !== classFilter) return;
+
+    const match = query.raw ? scoreStudent(student, query) : { on: 'class', score: SCORES.class };
+    if (match) results.push({ ...student, score: match.score, matchedOn: match.on });
+  });
+
+  // Best match first, then by class and roll number so equal matches read like a register
+  results.sort((a, b) =>
+    b.score - a.score ||
+    a.class.localeCompare(b.class, undefined, { numeric: true }) ||
+    a.rollNo.localeCompare(b.rollNo, undefined, { numeric: true }) ||
+    a.name.localeCompare(b.name)
+  );
+
+  return {
+    total: results.length,
+    results: results.slice(0, Math.min(Math.max(limit, 1), MAX_LIMIT))
+  };
+}
+
+module.exports = { searchStudents, DEFAULT_LIMIT, MAX_LIMIT };
@@ -0,0 +1,160 @@
+const { parseSection, DONE_STATUSES } = require('./sections');
+const { getStudentsValues, getSheetValues, getValueByHeader } = require('./studentData');
+const { normalizeClassName } = require('./classStats');
+const { parseSheetDate, daysUntil } = require('./dates');
+const { ApiError } = require('./errors');
+
+// Workload view for a subject teacher: for every student in a class, the
+// subject's pending and overdue assignments, activities and games not yet
+// marked complete, and how long ago their notebook was last corrected. The
+// horizontal sheets are read with the same section registry the per-student
+// parsers use, so renamed columns or extra sheets work here too.
+
+// Sections the view reads; any that aren't configured are skipped. Subject progress
+// only counts towards finding the subject, for classes with no work set yet.
+const WORKLOAD_SECTIONS = ['assignments', 'subjectActivities', 'games', 'corrections', 'subjectProgress'];
+
+// Days without a correction before a student shows up as needing one
+const DEFAULT_CORRECTION_DAYS = 30;
+
+// Subject names compare without case, spaces or underscores ("Social Studies" = "social_studies")
+function subjectKey(subject) {
+  return String(subject || '').trim().toLowerCase().replace(/[\s_-]+/g, '_');
+}
+
+function isDone(record) {
+  return DONE_STATUSES.includes(String(record.status || '').toLowerCase());
+}
+
+// Index a sheet's rows by admission number so each student is found in one step
+function rowsByAdmission(values) {
+  const headers = values[0] || [];
+  const admissionIndex = headers.findIndex(h => String(h).toLowerCase() === 'admission_no');
+  const rows = new Map();
+  if (admissionIndex === -1) return { headers, rows };
+
+  values.slice(1).forEach(row => {
+    if (row && row[admissionIndex]) rows.set(String(row[admissionIndex]), row);
+  });
+  return { headers, rows };
+}
+
+// Work items keep just what the teacher needs to follow up
+function workItem(record, nameField) {
+  return {
+    id: record.id,
+    name: record[nameField],
+    ...(record.dueDate !== undefined && { dueDate: record.dueDate, dueDateIso: record.dueDateIso, daysUntilDue: record.daysUntilDue }),
+    ...(record.date !== undefined && { date: record.date, dateIso: record.dateIso }),
+    status: record.status
+  };
+}
+
+// Build the view for one subject, optionally narrowed to a class. Throws a 404
+// ApiError when the class has no students or nothing in scope has the subject.
+function buildSubjectWorkload(workbook, subject, { className, sections, correctionDays = DEFAULT_CORRECTION_DAYS, today = new Date() }) {
+  const target = subjectKey(subject);
+  const studentsValues = getStudentsValues(workbook);
+  const studentsHeaders = studentsValues[0] || [];
+
+  const classFilter = className ? normalizeClassName(className) : null;
+  const students = studentsValues.slice(1)
+    .filter(row => row && getValueByHeader(row, studentsHeaders, 'admission_no'))
+    .map(row => ({
+      admissionNo: getValueByHeader(row, studentsHeaders, 'admission_no'),
+      name: getValueByHeader(row, studentsHeaders, 'name'),
+      class: getValueByHeader(row, studentsHeaders, 'class').trim(),
+      rollNo: getValueByHeader(row, studentsHeaders, 'roll_no')
+    }))
+    .filter(student => !classFilter || normalizeClassName(student.class) === classFilter);
+
+  // Without a class filter an empty Students sheet just means no records, reported below
+  if (classFilter && students.length === 0) {
+    throw new ApiError(404, 'class_not_found', `Class ${className} not found`);
+  }
+
+  // Each section's sheet, indexed once for the whole class
+  const sheets = new Map();
+  const used = WORKLOAD_SECTIONS
+    .map(name => sections.find(section => section.name === name))
+    .filter(Boolean);
+  used.forEach(section => {
+    if (!sheets.has(section.sheet)) sheets.set(section.sheet, rowsByAdmission(getSheetValues(workbook, section.sheet)));
+  });
+
+  // The subject's records in one section for one student
+  const subjectRecords = (sectionName, admissionNo) => {
+    const section = used.find(s => s.name === sectionName);
+    if (!section) return [];
+    const { headers, rows } = sheets.get(section.sheet);
+    return parseSection(section, headers, rows.get(admissionNo) || null)
+      .filter(record => subjectKey(record.subject) === target);
+  };
+
+  let subjectName = null;
+  const roster = students.map(student => {
+    const records = {};
+    WORKLOAD_SECTIONS.forEach(name => {
+      records[name] = subjectRecords(name, student.admissionNo);
+      if (!subjectName && records[name].length > 0) subjectName = records[name][0].subject;
+    });
+
+    const openAssignments = records.assignments.filter(a => !isDone(a));
+    const overdueAssignments = openAssignments.filter(a => a.isOverdue);
+
+    // Latest correction by date; undated ones only count when nothing is dated
+    const corrections = [...records.corrections].sort((a, b) => String(b.dateIso || '').localeCompare(String(a.dateIso || '')));
+    const lastCorrection = corrections[0] || null;
+    const lastCorrectionDate = lastCorrection ? parseSheetDate(lastCorrection.dateIso) : null;
+    const daysSinceCorrection = lastCorrectionDate ? -daysUntil(lastCorrectionDate, today) : null;
+
+    return {
+      ...student,
+      pendingAssignments: openAssignments.filter(a => !a.isOverdue).map(a => workItem(a, 'name')),
+      overdueAssignments: overdueAssignments.map(a => workItem(a, 'name')),
+      incompleteActivities: records.subjectActivities.filter(a => !isDone(a)).map(a => workItem(a, 'activity')),
+      incompleteGames: records.games.filter(g => !isDone(g)).map(g => workItem(g, 'name')),
+      lastCorrection: lastCorrection && {
+        id: lastCorrection.id,
+        copyType: lastCorrection.copyType,
+        date: lastCorrection.date,
+        dateIso: lastCorrection.dateIso
+      },
+      daysSinceCorrection,
+      needsCorrection: daysSinceCorrection === null || daysSinceCorrection > correctionDays
+    };
+  });
+
+  if (!subjectName) {
+    throw new ApiError(404, 'subject_not_found', `No ${subject} records found${classFilter ? ` for class ${students[0].class}` : ''}`);
+  }
+
+  roster.sort((a, b) =>
+    a.class.localeCompare(b.class, undefined, { numeric: true }) ||
+    String(a.rollNo).localeCompare(String(b.rollNo), undefined, { numeric: true })
+  );
+
+  const count = list => roster.filter(student => student[list].length > 0).length;
+  const sum = list => roster.reduce((total, student) => total + student[list].length, 0);
+
+  return {
+    subject: subjectName,
+    class: classFilter ? students[0].class : null,
+    correctionWindowDays: correctionDays,
+    totals: {
+      students: roster.length,
+      pendingAssignments: sum('pendingAssignments'),
+      overdueAssignments: sum('overdueAssignments'),
+      incompleteActivities: sum('incompleteActivities'),
+      incompleteGames: sum('incompleteGames'),
+      studentsWithPendingAssignments: count('pendingAssignments'),
+      studentsWithOverdueAssignments: count('overdueAssignments'),
+      studentsWithIncompleteActivities: count('incompleteActivities'),
+      studentsWithIncompleteGames: count('incompleteGames'),
+      studentsNeedingCorrection: roster.filter(student => student.needsCorrection).length
+    },
+    students: roster
+  };
+}
+
+module.exports = { buildSubjectWorkload, DEFAULT_CORRECTION_DAYS };
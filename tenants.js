@@ -0,0 +1,361 @@
+const fs = require('fs');
+const path = require('path');
+const { loadSections } = require('./sections');
+const { processStudentData } = require('./studentData');
+const { addClassStanding } = require('./ranking');
+const { loadGradingConfig, applyGrading } = require('./grading');
+const { loadAcademicYears, createAcademicYears } = require('./academicYears');
+const { createAlertService } = require('./alerts');
+const { createChangeFeed } = require('./changeFeed');
+const { createWriteBack } = require('./writeBack');
+const { createAuditLog } = require('./auditLog');
+const { loadStaffAccounts } = require('./auth');
+const { createRateLimiter, createConnectionLimiter } = require('./rateLimit');
+const { createEnumerationGuard } = require('./enumerationGuard');
+const { createPhotoService } = require('./photos');
+const { DAILY_ATTENDANCE_SHEET } = require('./dailyAttendance');
+const { DEFAULT_OPTIONS: DEFAULT_ANALYTICS } = require('./studentAnalytics');
+
+// Schools served by this deployment. Without TENANTS_CONFIG there is one school,
+// configured entirely from env. With it, each school has its own spreadsheet,
+// caches, rate limits, alerts, audit log and staff accounts:
+//
+//   {
+//     "default": "north",
+//     "tenants": [
+//       {
+//         "code": "north",
+//         "hosts": ["portfolio.northschool.edu"],
+//         "spreadsheetId": "1AbC...",
+//         "apiKey": "AIza...",
+//         "sheetNames": { "Students": "Pupils", "Tests": "Exams" },
+//         "gradingConfig": "config/north-grading.json",
+//         "schoolName": "North Public School",
+//         "logo": "https://northschool.edu/logo.png",
+//         "corsOrigins": ["https://northschool.github.io"],
+//         "adminApiKey": "...",
+//         "rateLimit": { "windowSeconds": 60, "max": 120 }
+//       }
+//     ]
+//   }
+//
+// Requests pick a school by path prefix (/north/api/...), by one of its host
+// names, or by subdomain (north.example.com). "default" is used for anything
+// else; without it, unmatched requests are rejected.
+
+const DEFAULT_TENANT_CODE = 'default';
+
+// Tenant settings and the env variable each one stands in for
+const TENANT_SETTINGS = {
+  spreadsheetId: 'GOOGLE_SHEETS_ID',
+  apiKey: 'GOOGLE_SHEETS_API_KEY',
+  serviceAccountFile: 'GOOGLE_SERVICE_ACCOUNT_FILE',
+  dataSource: 'DATA_SOURCE',
+  dataPath: 'LOCAL_DATA_PATH',
+  sectionsConfig: 'SECTIONS_CONFIG',
+  gradingConfig: 'GRADING_CONFIG',
+  academicYearsConfig: 'ACADEMIC_YEARS_CONFIG',
+  alertsConfig: 'ALERTS_CONFIG',
+  alertStateFile: 'ALERT_STATE_FILE',
+  changeFeedStateFile: 'CHANGE_FEED_STATE_FILE',
+  auditLogFile: 'AUDIT_LOG_FILE',
+  accessLogFile: 'ACCESS_LOG_FILE',
+  staffAccountsFile: 'STAFF_ACCOUNTS_FILE',
+  adminApiKey: 'ADMIN_API_KEY',
+  publicBaseUrl: 'PUBLIC_BASE_URL',
+  schoolName: 'SCHOOL_NAME',
+  schoolAddress: 'SCHOOL_ADDRESS',
+  logo: 'SCHOOL_LOGO'
+};
+
+// Settings that identify one school, so a tenant never inherits them from the
+// deployment's env. Everything else (API keys, TTLs, SMTP, ...) can be shared.
+const SCHOOL_ONLY_ENV = [
+  'GOOGLE_SHEETS_ID',
+  'LOCAL_DATA_PATH',
+  'ACADEMIC_YEARS_CONFIG',
+  'ALERT_STATE_FILE',
+  'CHANGE_FEED_STATE_FILE',
+  'AUDIT_LOG_FILE',
+  'ACCESS_LOG_FILE',
+  'STAFF_ACCOUNTS_FILE',
+  'ADMIN_API_KEY',
+  'PUBLIC_BASE_URL',
+  'SCHOOL_NAME',
+  'SCHOOL_ADDRESS',
+  'SCHOOL_LOGO'
+];
+
+// Env for one tenant: the shared env, minus school-only settings, plus the tenant's own
+function tenantEnv(tenant, env) {
+  const merged = { ...env };
+  SCHOOL_ONLY_ENV.forEach(key => delete merged[key]);
+
+  Object.entries(TENANT_SETTINGS).forEach(([setting, key]) => {
+    if (tenant[setting] !== undefined) merged[key] = String(tenant[setting]);
+  });
+  if (tenant.rateLimit) {
+    if (tenant.rateLimit.windowSeconds !== undefined) merged.RATE_LIMIT_WINDOW_SECONDS = String(tenant.rateLimit.windowSeconds);
+    if (tenant.rateLimit.max !== undefined) merged.RATE_LIMIT_MAX = String(tenant.rateLimit.max);
+  }
+
+  // State files default to one per school
+  merged.ALERT_STATE_FILE = merged.ALERT_STATE_FILE || `alert-state.${tenant.code}.json`;
+  merged.CHANGE_FEED_STATE_FILE = merged.CHANGE_FEED_STATE_FILE || `change-feed-state.${tenant.code}.json`;
+  merged.AUDIT_LOG_FILE = merged.AUDIT_LOG_FILE || `audit-log.${tenant.code}.jsonl`;
+  merged.ACCESS_LOG_FILE = merged.ACCESS_LOG_FILE || `access-log.${tenant.code}.jsonl`;
+  return merged;
+}
+
+// Load the tenant registry, or a single tenant built from env
+function loadTenants(configPath, env) {
+  if (!configPath) {
+    return {
+      defaultCode: DEFAULT_TENANT_CODE,
+      tenants: [{ code: DEFAULT_TENANT_CODE, hosts: [], corsOrigins: [], sheetNames: {}, feedScope: '', env }]
+    };
+  }
+
+  const file = path.resolve(configPath);
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(config.tenants) || config.tenants.length === 0) {
+    throw new Error(`Tenant config ${file} needs a non-empty "tenants" list`);
+  }
+
+  const codes = new Set();
+  const tenants = config.tenants.map(tenant => {
+    const code = String(tenant.code || '').toLowerCase();
+    if (!/^[a-z0-9-]+$/.test(code) || code === 'api') {
+      throw new Error(`Tenant code ${JSON.stringify(tenant.code)} in ${file} must be letters, digits or dashes (and not "api")`);
+    }
+    if (codes.has(code)) {
+      throw new Error(`Tenant "${code}" is listed more than once in ${file}`);
+    }
+    if (!tenant.spreadsheetId && !tenant.dataPath && !tenant.academicYearsConfig) {
+      throw new Error(`Tenant "${code}" needs a spreadsheetId, dataPath or academicYearsConfig`);
+    }
+    codes.add(code);
+
+    return {
+      code,
+      hosts: (tenant.hosts || []).map(host => String(host).toLowerCase()),
+      corsOrigins: tenant.corsOrigins || [],
+      sheetNames: tenant.sheetNames || {},
+      // Calendar feed tokens include the school so they can't be replayed at another one
+      feedScope: `${code}:`,
+      env: tenantEnv({ ...tenant, code }, env)
+    };
+  });
+
+  const defaultCode = config.default ? String(config.default).toLowerCase() : null;
+  if (defaultCode && !codes.has(defaultCode)) {
+    throw new Error(`Default tenant "${config.default}" is not in the tenants list in ${file}`);
+  }
+
+  return { defaultCode, tenants };
+}
+
+// Numeric setting from env, where 0 is a real value (e.g. to turn a limit off)
+function numberSetting(value, fallback) {
+  const number = parseFloat(value);
+  return isNaN(number) ? fallback : number;
+}
+
+// Everything one school needs to serve requests: sheets, caches, grading, branding,
+// write-back, alerts, audit log, staff accounts and rate limits
+function createTenant({ code, hosts, corsOrigins, sheetNames, feedScope, env }) {
+  // Optional settings for the workbook cache and admin endpoints. A TTL of 0
+  // revalidates on every request; CACHE_RETRY_SECONDS is the pause after a failed fetch.
+  const cacheOptions = {
+    ttlSeconds: numberSetting(env.CACHE_TTL_SECONDS, 300),
+    staleSeconds: numberSetting(env.CACHE_STALE_SECONDS, 3600),
+    retrySeconds: numberSetting(env.CACHE_RETRY_SECONDS, 30)
+  };
+
+  // Horizontal sheets come from the section registry (sections.json or SECTIONS_CONFIG)
+  const sections = loadSections(env.SECTIONS_CONFIG);
+
+  // Grade scales and weighted result components (grading.json or GRADING_CONFIG)
+  const grading = loadGradingConfig(env.GRADING_CONFIG);
+
+  // Show exact class ranks, or only bands like "top 25%" (RANK_DISPLAY=bands)
+  const exactRank = (env.RANK_DISPLAY || 'exact').toLowerCase() !== 'bands';
+
+  // One workbook per academic year (ACADEMIC_YEARS_CONFIG), each from Google Sheets
+  // or local files (see dataSources/) with its own cache
+  const years = createAcademicYears({
+    config: loadAcademicYears(env.ACADEMIC_YEARS_CONFIG),
+    sections,
+    env,
+    cacheOptions,
+    sheetRenames: sheetNames,
+    school: code,
+    extraSheets: env.DAILY_ATTENDANCE === 'true' ? [DAILY_ATTENDANCE_SHEET] : []
+  });
+
+  // Logins, class views, alerts and teacher edits use the current year
+  const currentYear = years.current;
+  const workbookCache = currentYear.workbookCache;
+
+  // Full portfolio for one student, with grading and class standing added on top of the sheet data
+  const buildStudentData = (workbook, admissionNumber) => {
+    const studentData = applyGrading(processStudentData(workbook, admissionNumber, sections), grading);
+    return addClassStanding(studentData, workbook, sections, { exactRank });
+  };
+
+  // Alerts for low attendance, overdue work and discipline (alertRules.json or ALERTS_CONFIG).
+  // ALERTS_INTERVAL_MINUTES turns on scheduled runs; admins can also trigger a run.
+  const alertService = createAlertService({
+    configPath: env.ALERTS_CONFIG,
+    statePath: env.ALERT_STATE_FILE || 'alert-state.json',
+    sections,
+    getWorkbook: () => workbookCache.get(),
+    env
+  });
+
+  // Per-student change feed. The sheets are fetched again every CHANGE_FEED_INTERVAL_MINUTES
+  // (5 by default, 0 turns it off) and compared with the last snapshot.
+  const changeFeed = createChangeFeed({
+    statePath: env.CHANGE_FEED_STATE_FILE || 'change-feed-state.json',
+    sections,
+    getWorkbook: () => workbookCache.refresh(),
+    historyLimit: numberSetting(env.CHANGE_FEED_HISTORY_LIMIT, 5000)
+  });
+
+  // Every change teachers make through the API is appended here. Log files are
+  // rotated at LOG_FILE_MAX_BYTES (10 MB by default, 0 turns rotation off),
+  // keeping LOG_FILE_KEEP old files.
+  const logFileOptions = {
+    maxBytes: numberSetting(env.LOG_FILE_MAX_BYTES, 10 * 1024 * 1024),
+    keepFiles: numberSetting(env.LOG_FILE_KEEP, 5)
+  };
+  const auditLog = createAuditLog(env.AUDIT_LOG_FILE || 'audit-log.jsonl', logFileOptions);
+
+  return {
+    code,
+    hosts,
+    corsOrigins: corsOrigins.length === 0 || corsOrigins.includes('*') ? '*' : corsOrigins,
+    feedScope,
+    sections,
+    grading,
+    years,
+    currentYear,
+    dataSource: currentYear.dataSource,
+    workbookCache,
+    buildStudentData,
+    alertService,
+    alertIntervalMinutes: parseFloat(env.ALERTS_INTERVAL_MINUTES) || 0,
+    changeFeed,
+    changeFeedIntervalMinutes: numberSetting(env.CHANGE_FEED_INTERVAL_MINUTES, 5),
+    auditLog,
+
+    // Teacher edits go back to the same sheets we read from
+    writeBack: createWriteBack({
+      sections,
+      dataSource: currentYear.dataSource,
+      workbookCache,
+      auditLog,
+      sheetTitle: currentYear.sheetTitle
+    }),
+
+    // Teacher accounts for staff login and write-back (STAFF_ACCOUNTS_FILE, see auth.js)
+    staffAccounts: loadStaffAccounts(env.STAFF_ACCOUNTS_FILE),
+    adminApiKey: env.ADMIN_API_KEY,
+
+    // Public URL of this API, used in links we hand out (e.g. calendar feeds)
+    publicBaseUrl: env.PUBLIC_BASE_URL,
+
+    // School header for printed report cards. SCHOOL_LOGO can be a URL or a file path.
+    branding: {
+      schoolName: env.SCHOOL_NAME || 'Student Portfolio',
+      schoolAddress: env.SCHOOL_ADDRESS || '',
+      logo: env.SCHOOL_LOGO || ''
+    },
+
+    // Requests per client IP per window; RATE_LIMIT_MAX=0 (the default) turns it off
+    rateLimiter: createRateLimiter({
+      windowSeconds: parseInt(env.RATE_LIMIT_WINDOW_SECONDS) || 60,
+      max: parseInt(env.RATE_LIMIT_MAX) || 0
+    }),
+
+    // Tighter limits on routes that return a student's data, per IP and per token
+    studentLimits: {
+      byIp: createRateLimiter({
+        windowSeconds: numberSetting(env.STUDENT_RATE_LIMIT_WINDOW_SECONDS, 60),
+        max: numberSetting(env.STUDENT_RATE_LIMIT_PER_IP, 120)
+      }).limitBy(req => req.ip),
+      byToken: createRateLimiter({
+        windowSeconds: numberSetting(env.STUDENT_RATE_LIMIT_WINDOW_SECONDS, 60),
+        max: numberSetting(env.STUDENT_RATE_LIMIT_PER_TOKEN, 60)
+      }).limitBy(req => req.auth && `${req.auth.role}:${req.auth.sub}`)
+    },
+
+    // Change streams open at once, per IP and per user. A student's link keys count
+    // with their token, since a new key can be had at any time.
+    changeStreamLimits: {
+      byIp: createConnectionLimiter({
+        max: numberSetting(env.CHANGE_STREAM_MAX_PER_IP, 20),
+        keyFor: req => req.ip
+      }),
+      byUser: createConnectionLimiter({
+        max: numberSetting(env.CHANGE_STREAM_MAX_PER_USER, 3),
+        keyFor: req => req.auth && `${req.auth.role === 'link' ? 'student' : req.auth.role}:${req.auth.sub}`
+      })
+    },
+
+    // Temporary blocks for IPs that look like they are walking through admission numbers
+    enumerationGuard: createEnumerationGuard({
+      windowSeconds: numberSetting(env.ENUMERATION_WINDOW_SECONDS, 600),
+      maxAdmissions: numberSetting(env.ENUMERATION_MAX_ADMISSIONS, 50),
+      maxMisses: numberSetting(env.ENUMERATION_MAX_MISSES, 15),
+      blockSeconds: numberSetting(env.ENUMERATION_BLOCK_SECONDS, 900)
+    }),
+
+    // Who looked up which student, when, and what they got back
+    accessLog: createAuditLog(env.ACCESS_LOG_FILE || 'access-log.jsonl', logFileOptions),
+
+    // Resized student photos, kept for PHOTO_CACHE_SECONDS (a day by default)
+    photos: createPhotoService({
+      ttlSeconds: numberSetting(env.PHOTO_CACHE_SECONDS, 86400),
+      maxEntries: numberSetting(env.PHOTO_CACHE_MAX_ENTRIES, 500)
+    }),
+
+    // Defaults for the per-subject analytics; requests can override them
+    analytics: {
+      window: numberSetting(env.ANALYTICS_MOVING_AVERAGE_WINDOW, DEFAULT_ANALYTICS.window),
+      dropThreshold: numberSetting(env.ANALYTICS_DROP_THRESHOLD, DEFAULT_ANALYTICS.dropThreshold),
+      trendThreshold: numberSetting(env.ANALYTICS_TREND_THRESHOLD, DEFAULT_ANALYTICS.trendThreshold)
+    }
+  };
+}
+
+// Middleware that finds the school for a request and strips any /<code> prefix
+// from the URL, so the routes themselves stay the same for every school
+function createTenantResolver(tenants, defaultCode) {
+  const byCode = new Map(tenants.map(tenant => [tenant.code, tenant]));
+  const byHost = new Map();
+  tenants.forEach(tenant => tenant.hosts.forEach(host => byHost.set(host, tenant)));
+
+  return (req, res, next) => {
+    const match = req.url.match(/^\/([^/?]+)(\/api(?:[/?].*)?)$/);
+    if (match && byCode.has(match[1].toLowerCase())) {
+      req.tenant = byCode.get(match[1].toLowerCase());
+      req.tenantPrefix = `/${match[1]}`;
+      req.url = match[2];
+      return next();
+    }
+
+    const host = String(req.hostname || '').toLowerCase();
+    const labels = host.split('.');
+    const subdomain = labels.length > 2 && !/^\d+$/.test(labels[labels.length - 1]) ? labels[0] : null;
+
+    req.tenant = byHost.get(host) || (subdomain && byCode.get(subdomain)) || byCode.get(defaultCode) || null;
+    req.tenantPrefix = '';
+    if (!req.tenant) {
+      return res.status(404).json({ error: 'Unknown school. Use /<school code>/api/... or the school\'s own address.', code: 'unknown_school' });
+    }
+    next();
+  };
+}
+
+module.exports = { loadTenants, createTenant, createTenantResolver };
@@ -0,0 +1,116 @@
+const { logger, errorFields } = require('./logger');
+
+// In-process cache for the spreadsheet workbook
+//
+// Every student lookup reads the same workbook, so we keep one copy in memory
+// and share it between requests. Fresh data is served straight from memory,
+// stale data is served while a background refresh runs, and concurrent
+// requests that need a fetch all wait on the same in-flight promise. After a
+// failed fetch, requests don't try again for retrySeconds: they get the copy we
+// have, however old, or the same error, so an outage isn't hit on every request.
+
+function createWorkbookCache({ fetchWorkbook, ttlSeconds, staleSeconds, retrySeconds = 30 }) {
+  let workbook = null;
+  let fetchedAt = 0;
+  let inflight = null;
+  let lastError = null;
+  let lastFailure = null;
+  let retryAt = 0;
+  let hits = 0;
+  let misses = 0;
+
+  const ttlMs = ttlSeconds * 1000;
+  const staleMs = staleSeconds * 1000;
+  const retryMs = retrySeconds * 1000;
+
+  // Start a fetch, or join the one that is already running
+  function refresh() {
+    if (inflight) return inflight;
+
+    inflight = Promise.resolve()
+      .then(() => fetchWorkbook())
+      .then(data => {
+        workbook = data;
+        fetchedAt = Date.now();
+        lastError = null;
+        lastFailure = null;
+        retryAt = 0;
+        return workbook;
+      })
+      .catch(error => {
+        lastError = { message: error.message, at: new Date().toISOString() };
+        lastFailure = error;
+        retryAt = Date.now() + retryMs;
+        throw error;
+      })
+      .finally(() => {
+        inflight = null;
+      });
+
+    return inflight;
+  }
+
+  // Get the workbook, fetching it only when the cached copy is too old
+  async function get() {
+    const age = Date.now() - fetchedAt;
+
+    if (workbook && age < ttlMs) {
+      hits++;
+      return workbook;
+    }
+
+    // Still backing off from a failed fetch
+    if (!inflight && Date.now() < retryAt) {
+      if (workbook) {
+        hits++;
+        return workbook;
+      }
+      misses++;
+      throw lastFailure;
+    }
+
+    if (workbook && age < ttlMs + staleMs) {
+      // Serve stale data now and revalidate in the background
+      hits++;
+      refresh().catch(error => {
+        logger.error('Background workbook refresh failed', errorFields(error));
+      });
+      return workbook;
+    }
+
+    misses++;
+    try {
+      return await refresh();
+    } catch (error) {
+      // A quota error or outage shouldn't take the portfolio down if we
+      // still have an older copy to fall back on
+      if (workbook) {
+        logger.error('Workbook refresh failed, serving expired copy', errorFields(error));
+        return workbook;
+      }
+      throw error;
+    }
+  }
+
+  // Snapshot of the cache state for the status endpoint
+  function stats() {
+    const age = workbook ? Date.now() - fetchedAt : null;
+    return {
+      ttlSeconds,
+      staleSeconds,
+      cached: Boolean(workbook),
+      fetchedAt: workbook ? new Date(fetchedAt).toISOString() : null,
+      ageSeconds: age === null ? null : Math.round(age / 1000),
+      stale: age === null ? false : age >= ttlMs,
+      refreshing: Boolean(inflight),
+      retryAt: retryAt > Date.now() ? new Date(retryAt).toISOString() : null,
+      hits,
+      misses,
+      lastError
+    };
+  }
+
+  return { get, refresh, stats };
+}
+
+module.exports = { createWorkbookCache };
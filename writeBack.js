@@ -0,0 +1,286 @@
+const { sectionRanges, quoteSheetName, renderTemplate, indexHeaders, coerceValue, parseSection, cellAddress, DONE_STATUSES } = require('./sections');
+const { STUDENTS_SHEET } = require('./studentData');
+const { parseSheetDate, toIsoDate } = require('./dates');
+const { logger, errorFields } = require('./logger');
+
+// Teacher write-back: small edits to the horizontal sheets, located with the
+// same header templates the parsers read them with.
+//
+//   - update a group's cells in place, e.g. math_assignment2_status
+//   - append the next group for a student, e.g. math_correction4_* or
+//     discipline3_*, adding the header columns when no student has one yet
+//
+// Writes run one at a time against a fresh copy of the sheet (never the cache),
+// so two teachers appending at once can't claim the same group number.
+
+// Placeholder names that hold the group number
+const NUMBER_PLACEHOLDERS = ['n', 'num'];
+
+// Statuses teachers can set on an assignment; the summary counts the done ones as completed
+const ASSIGNMENT_STATUSES = ['pending', ...DONE_STATUSES];
+
+// Turn "Social Science" into "social_science", the way subjects appear in headers
+function toHeaderName(value) {
+  return String(value).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+// Check a submitted value against its field type, and against the allowed values
+// when there is a list. Returns { value } or { error }.
+function cleanValue(field, raw, allowed) {
+  if (raw !== null && typeof raw === 'object') {
+    return { error: `${field.name} must be a single value` };
+  }
+  const text = raw === null ? '' : String(raw).trim();
+  if (text === '') return { value: '' };
+
+  if (allowed) {
+    const value = text.toLowerCase();
+    if (!allowed.includes(value)) {
+      return { error: `${field.name} must be one of: ${allowed.join(', ')}` };
+    }
+    return { value };
+  }
+
+  if ((field.type === 'integer' || field.type === 'number') && coerceValue(text, field.type) === null) {
+    return { error: `${field.name} must be a number` };
+  }
+  if (field.type === 'date' && !parseSheetDate(text)) {
+    return { error: `${field.name} "${text}" is not a date` };
+  }
+  return { value: text };
+}
+
+// Collects cell updates for one sheet, adding header columns as needed
+function createSheetEdit(sheet, values) {
+  const headers = [...(values[0] || [])];
+  const headerIndex = indexHeaders(headers);
+  const updates = [];
+
+  // Column index for a header, appending it to the header row if it's new
+  function column(header) {
+    if (!headerIndex.has(header)) {
+      headerIndex.set(header, headers.length);
+      updates.push({ sheet, row: 0, column: headers.length, header, from: '', value: header });
+      headers.push(header);
+    }
+    return headerIndex.get(header);
+  }
+
+  // Set a cell in a row by header name, skipping values that wouldn't change
+  function set(row, header, value) {
+    const c = column(header);
+    const from = (values[row] || [])[c];
+    if ((from === undefined ? '' : String(from)) === value) return;
+    updates.push({ sheet, row, column: c, header, from: from === undefined ? '' : from, value });
+  }
+
+  // The sheet's rows with every update applied, for reading the result back
+  function result() {
+    const rows = values.map(row => [...(row || [])]);
+    updates.forEach(update => {
+      while (rows.length <= update.row) rows.push([]);
+      rows[update.row][update.column] = update.value;
+    });
+    return rows;
+  }
+
+  return { headers, headerIndex, column, set, updates, result };
+}
+
+// Index of the row holding an admission number, or -1
+function findRowIndex(values, admissionNo) {
+  const headers = values[0] || [];
+  const admissionIndex = headers.findIndex(h => String(h).toLowerCase() === 'admission_no');
+  if (admissionIndex === -1) return -1;
+  return values.findIndex((row, i) => i > 0 && row && String(row[admissionIndex] || '').trim() === admissionNo);
+}
+
+// sheetTitle maps a sheet name to the tab written to (see academicYears.js)
+function createWriteBack({ sections, dataSource, workbookCache, auditLog, sheetTitle = sheet => sheet }) {
+  let queue = Promise.resolve();
+
+  // Run write tasks one after another
+  function serialized(task) {
+    const run = queue.then(task, task);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  // Read the Students sheet and one section's sheet straight from the data source
+  async function readSheets(section) {
+    const data = await dataSource.fetchWorkbook([
+      `${quoteSheetName(sheetTitle(STUDENTS_SHEET))}!A:Z`,
+      ...sectionRanges([section], sheetTitle)
+    ]);
+    const [students, sheet] = data.valueRanges.map(range => (range && range.values) || []);
+    return { students, values: sheet };
+  }
+
+  // Write the edit, record it in the audit trail, and return the changed record
+  async function commit(section, edit, { admissionNo, rowIndex, recordId, action, actor }) {
+    if (edit.updates.length > 0) {
+      await dataSource.writeCells(edit.updates.map(({ sheet, row, column, value }) => ({ sheet, row, column, value })));
+
+      auditLog.append({
+        actor: { username: actor.sub, name: actor.name, role: actor.role },
+        action,
+        sheet: sheetTitle(section.sheet),
+        admissionNo,
+        recordId,
+        changes: edit.updates.map(update => ({
+          cell: cellAddress(update.row, update.column),
+          column: update.row === 0 ? null : update.header,
+          from: update.from,
+          to: update.value
+        }))
+      });
+
+      // Pick up the change for readers; the response doesn't depend on it
+      workbookCache.refresh().catch(error => {
+        logger.error('Error refreshing workbook after write', errorFields(error));
+      });
+    }
+
+    const rows = edit.result();
+    const record = parseSection(section, rows[0], rows[rowIndex]).find(r => r.id === recordId) || null;
+    const changes = edit.updates.filter(update => update.row !== 0)
+      .map(update => ({ cell: cellAddress(update.row, update.column), column: update.header, from: update.from, to: update.value }));
+
+    return { admission: admissionNo, section: section.name, id: recordId, record, changes };
+  }
+
+  // Section config by name, or null when it isn't in the registry
+  function sectionFor(name) {
+    return sections.find(section => section.name === name) || null;
+  }
+
+  // Update some columns of an existing group, e.g. an assignment's status and remarks.
+  // allowedValues limits fields to a list of values, e.g. { status: [...] }.
+  function updateRecord(sectionName, admissionNo, recordId, input, allowedFields, actor, allowedValues = {}) {
+    return serialized(async () => {
+      const section = sectionFor(sectionName);
+      if (!section) return { status: 404, code: 'section_not_configured', error: `Section ${sectionName} is not configured` };
+
+      const fields = section.fields.filter(field => allowedFields.includes(field.name));
+      const unknown = Object.keys(input).find(name => !fields.some(field => field.name === name));
+      if (unknown) {
+        return { status: 400, code: 'invalid_request', error: `Field "${unknown}" can't be changed. Allowed: ${allowedFields.join(', ')}` };
+      }
+      if (Object.keys(input).length === 0) {
+        return { status: 400, code: 'invalid_request', error: `Nothing to update. Send one of: ${allowedFields.join(', ')}` };
+      }
+
+      const { values } = await readSheets(section);
+      const rowIndex = findRowIndex(values, admissionNo);
+      const header = String(recordId).toLowerCase();
+      const match = header.match(section.keyRegex);
+      const keyColumn = indexHeaders(values[0]).get(header);
+      const row = values[rowIndex] || [];
+
+      if (rowIndex === -1 || !match || keyColumn === undefined || !String(row[keyColumn] || '').trim()) {
+        return { status: 404, code: 'record_not_found', error: `No ${sectionName} record ${recordId} for student ${admissionNo}` };
+      }
+
+      const captures = {};
+      section.placeholders.forEach((placeholder, p) => {
+        captures[placeholder] = match[p + 1];
+      });
+
+      const edit = createSheetEdit(sheetTitle(section.sheet), values);
+      for (const field of fields) {
+        if (input[field.name] === undefined) continue;
+        const { value, error } = cleanValue(field, input[field.name], allowedValues[field.name]);
+        if (error) return { status: 400, code: 'invalid_request', error };
+        edit.set(rowIndex, renderTemplate(field.column, captures), value);
+      }
+
+      return commit(section, edit, { admissionNo, rowIndex, recordId: header, action: `${sectionName}.update`, actor });
+    });
+  }
+
+  // Append the next group for a student, numbered after the highest one they already have
+  function appendRecord(sectionName, admissionNo, input, defaults, actor) {
+    return serialized(async () => {
+      const section = sectionFor(sectionName);
+      if (!section) return { status: 404, code: 'section_not_configured', error: `Section ${sectionName} is not configured` };
+
+      const numberPlaceholder = section.placeholders.find(p => NUMBER_PLACEHOLDERS.includes(p));
+      if (!numberPlaceholder) {
+        return { status: 400, code: 'invalid_request', error: `Section ${sectionName} has no {n} in its key, so records can't be appended` };
+      }
+
+      const fields = section.fields.filter(field => field.key || field.capture || field.column);
+      const unknown = Object.keys(input).find(name => !fields.some(field => field.name === name));
+      if (unknown) {
+        return { status: 400, code: 'invalid_request', error: `Unknown field "${unknown}". Allowed: ${fields.map(f => f.name).join(', ')}` };
+      }
+
+      // Placeholders other than the number come from capture fields, e.g. the subject
+      const captures = {};
+      for (const field of fields.filter(f => f.capture && f.capture !== numberPlaceholder)) {
+        const value = input[field.name] === undefined ? '' : toHeaderName(input[field.name]);
+        if (!value) return { status: 400, code: 'invalid_request', error: `${field.name} is required` };
+        captures[field.capture] = value;
+      }
+
+      const record = { ...defaults, ...input };
+      const keyValue = cleanValue(section.keyField, record[section.keyField.name] === undefined ? '' : record[section.keyField.name]);
+      if (keyValue.error) return { status: 400, code: 'invalid_request', error: keyValue.error };
+      if (!keyValue.value) return { status: 400, code: 'invalid_request', error: `${section.keyField.name} is required` };
+
+      const { students, values } = await readSheets(section);
+      if (findRowIndex(students, admissionNo) === -1) {
+        return { status: 404, code: 'student_not_found', error: `Student with admission number ${admissionNo} not found` };
+      }
+
+      const edit = createSheetEdit(sheetTitle(section.sheet), values);
+      let rowIndex = findRowIndex(values, admissionNo);
+      if (rowIndex === -1) {
+        // First record in this sheet for the student: start a new row
+        rowIndex = Math.max(values.length, 1);
+        edit.set(rowIndex, 'admission_no', admissionNo);
+      }
+
+      // Highest group number this student already has filled in
+      const row = values[rowIndex] || [];
+      let lastNumber = 0;
+      edit.headers.forEach((h, c) => {
+        const match = String(h || '').toLowerCase().match(section.keyRegex);
+        if (!match || !String(row[c] || '').trim()) return;
+        const sameGroup = section.placeholders.every((placeholder, p) =>
+          placeholder === numberPlaceholder || match[p + 1] === captures[placeholder]);
+        if (sameGroup) lastNumber = Math.max(lastNumber, parseInt(match[section.placeholders.indexOf(numberPlaceholder) + 1]));
+      });
+      captures[numberPlaceholder] = String(lastNumber + 1);
+
+      const recordId = renderTemplate(section.key, captures);
+      edit.set(rowIndex, recordId, keyValue.value);
+      for (const field of fields.filter(f => f.column)) {
+        if (record[field.name] === undefined) continue;
+        const { value, error } = cleanValue(field, record[field.name]);
+        if (error) return { status: 400, code: 'invalid_request', error };
+        if (value !== '') edit.set(rowIndex, renderTemplate(field.column, captures), value);
+      }
+
+      return commit(section, edit, { admissionNo, rowIndex, recordId, action: `${sectionName}.add`, actor });
+    });
+  }
+
+  return {
+    canWrite: () => Boolean(dataSource.canWrite && dataSource.canWrite()),
+
+    // Mark an assignment complete, or change its remarks
+    updateAssignment: (admissionNo, recordId, input, actor) =>
+      updateRecord('assignments', admissionNo, recordId, input, ['status', 'remarks'], actor, { status: ASSIGNMENT_STATUSES }),
+
+    // Log a correction; the date defaults to today
+    addCorrection: (admissionNo, input, actor) =>
+      appendRecord('corrections', admissionNo, input, { date: toIsoDate(new Date()) }, actor),
+
+    // Record a discipline incident; date defaults to today and teacher to whoever is logged in
+    addDiscipline: (admissionNo, input, actor) =>
+      appendRecord('discipline', admissionNo, input, { date: toIsoDate(new Date()), teacher: actor.name || actor.sub }, actor)
+  };
+}
+
+module.exports = { createWriteBack };